@@ -52,6 +52,7 @@ const initializeDatabase = async () => {
         email_code_expires_at DATETIME,
         is_verified BOOLEAN DEFAULT FALSE,
         is_active BOOLEAN DEFAULT TRUE,
+        is_admin BOOLEAN DEFAULT FALSE,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -62,15 +63,20 @@ const initializeDatabase = async () => {
       CREATE TABLE IF NOT EXISTS transactions (
         id INT AUTO_INCREMENT PRIMARY KEY,
         user_id INT NOT NULL,
-        type ENUM('airtime', 'data', 'bill', 'wallet_fund', 'withdrawal', 'p2p_transfer') NOT NULL,
+        type ENUM('airtime', 'data', 'bill', 'wallet_fund', 'withdrawal', 'p2p_transfer', 'refund') NOT NULL,
         amount DECIMAL(10,2) NOT NULL,
+        provider_cost DECIMAL(10,2),
+        margin DECIMAL(10,2),
         details JSON,
-        status ENUM('pending', 'success', 'failed') DEFAULT 'pending',
+        status ENUM('pending', 'processing', 'success', 'failed', 'reversed', 'refunded', 'cancelled') DEFAULT 'pending',
         reference VARCHAR(100) UNIQUE,
+        original_reference VARCHAR(100),
         external_reference VARCHAR(100),
+        provider VARCHAR(50),
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_transactions_original_reference (original_reference)
       )
     `);
 
@@ -130,6 +136,351 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Create idempotency_keys table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') DEFAULT 'processing',
+        response_status INT,
+        response_body JSON,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_idempotency_key (user_id, idempotency_key)
+      )
+    `);
+
+    // Create VTU catalog tables
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS service_categories (
+        identifier VARCHAR(100) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        synced_at DATETIME
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS vtu_services (
+        service_id VARCHAR(100) PRIMARY KEY,
+        category VARCHAR(100) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        min_amount DECIMAL(10,2),
+        max_amount DECIMAL(12,2),
+        convenience_fee VARCHAR(50),
+        product_type VARCHAR(50),
+        image TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        synced_at DATETIME,
+        INDEX idx_vtu_services_category (category)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS service_variations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        service_id VARCHAR(100) NOT NULL,
+        variation_code VARCHAR(150) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        provider_amount DECIMAL(10,2) DEFAULT 0.00,
+        fixed_price BOOLEAN DEFAULT TRUE,
+        data_size_mb INT,
+        validity_days DECIMAL(8,2),
+        enabled BOOLEAN DEFAULT TRUE,
+        available BOOLEAN DEFAULT TRUE,
+        synced_at DATETIME,
+        UNIQUE KEY unique_service_variation (service_id, variation_code)
+      )
+    `);
+
+    // Create phone_network_overrides table (per-user network for ported numbers)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS phone_network_overrides (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        phone_number VARCHAR(20) NOT NULL,
+        network ENUM('mtn', 'glo', 'airtel', 'etisalat') NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_phone_network_override (user_id, phone_number)
+      )
+    `);
+
+    // Create bulk_batches table (bulk airtime/data purchases and their wallet reservation)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS bulk_batches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        reference VARCHAR(100) NOT NULL UNIQUE,
+        source ENUM('csv', 'json') NOT NULL,
+        status ENUM('queued', 'processing', 'completed') DEFAULT 'queued',
+        row_count INT NOT NULL,
+        total_amount DECIMAL(12,2) NOT NULL,
+        reserved_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        refunded_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create bulk_batch_items table (one row per purchase in a batch)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS bulk_batch_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_id INT NOT NULL,
+        line_number INT NOT NULL,
+        type ENUM('airtime', 'data') NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        network VARCHAR(20) NOT NULL,
+        service_id VARCHAR(50) NOT NULL,
+        variation_code VARCHAR(100),
+        amount DECIMAL(10,2) NOT NULL,
+        pricing JSON,
+        reference VARCHAR(100),
+        status ENUM('queued', 'processing', 'success', 'pending', 'failed') DEFAULT 'queued',
+        error VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (batch_id) REFERENCES bulk_batches(id) ON DELETE CASCADE,
+        INDEX idx_bulk_batch_items_batch (batch_id, line_number)
+      )
+    `);
+
+    // Create purchase_schedules table (one-off and recurring airtime, data and bill purchases)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS purchase_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type ENUM('airtime', 'data', 'bill') NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        payload JSON NOT NULL,
+        frequency ENUM('once', 'daily', 'weekly', 'monthly') NOT NULL,
+        anchor_day TINYINT NOT NULL,
+        next_run_at DATETIME,
+        status ENUM('active', 'paused', 'completed', 'cancelled') DEFAULT 'active',
+        pause_reason VARCHAR(255),
+        last_run_at DATETIME,
+        last_status VARCHAR(20),
+        last_reference VARCHAR(100),
+        run_count INT DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_purchase_schedules_due (status, next_run_at)
+      )
+    `);
+
+    // Create electricity_tokens table (token vault for prepaid meter purchases)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS electricity_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        reference VARCHAR(100) NOT NULL UNIQUE,
+        disco VARCHAR(50) NOT NULL,
+        meter_number VARCHAR(50) NOT NULL,
+        customer_name VARCHAR(255),
+        token VARCHAR(255),
+        units VARCHAR(50),
+        amount DECIMAL(10,2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_electricity_tokens_meter (user_id, meter_number)
+      )
+    `);
+
+    // Create education_pins table (PIN/serial pairs from WAEC, NECO and JAMB purchases)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS education_pins (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        reference VARCHAR(100) NOT NULL,
+        service_id VARCHAR(50) NOT NULL,
+        pin VARCHAR(255) NOT NULL,
+        serial VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_education_pins_reference (reference)
+      )
+    `);
+
+    // Create verification_sessions table (smartcard/meter verifications that /bills requires)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS verification_sessions (
+        id VARCHAR(40) PRIMARY KEY,
+        user_id INT NOT NULL,
+        service_id VARCHAR(50) NOT NULL,
+        billers_code VARCHAR(50) NOT NULL,
+        type VARCHAR(20),
+        customer_name VARCHAR(255),
+        current_bouquet VARCHAR(255),
+        renewal_amount DECIMAL(15,2),
+        verification JSON,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_verification_sessions_user (user_id, expires_at)
+      )
+    `);
+
+    // Create ledger tables (double-entry journal behind users.wallet_balance, append-only)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS ledger_journals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        reference VARCHAR(100),
+        kind VARCHAR(50) NOT NULL,
+        description VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_ledger_journals_reference (reference)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        journal_id INT NOT NULL,
+        account VARCHAR(64) NOT NULL,
+        user_id INT,
+        amount DECIMAL(15,2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (journal_id) REFERENCES ledger_journals(id),
+        INDEX idx_ledger_entries_account (account),
+        INDEX idx_ledger_entries_user (user_id)
+      )
+    `);
+
+    // Create wallet integrity tables (checker runs and the corrections they propose)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS wallet_integrity_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+        users_checked INT NOT NULL DEFAULT 0,
+        mismatched_users INT NOT NULL DEFAULT 0,
+        total_drift DECIMAL(15,2) NOT NULL DEFAULT 0,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS wallet_corrections (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        run_id INT,
+        user_id INT NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        wallet_balance DECIMAL(15,2) NOT NULL,
+        expected_balance DECIMAL(15,2) NOT NULL,
+        offending JSON,
+        status ENUM('proposed', 'approved', 'rejected', 'superseded') NOT NULL DEFAULT 'proposed',
+        reviewed_by INT,
+        reviewed_at DATETIME,
+        review_note VARCHAR(255),
+        journal_id INT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_wallet_corrections_status (status, user_id)
+      )
+    `);
+
+    // Create dedicated virtual accounts (bank transfer funding, one per user)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS virtual_accounts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL UNIQUE,
+        provider VARCHAR(20) NOT NULL DEFAULT 'paystack',
+        customer_code VARCHAR(50) NOT NULL,
+        provider_account_id VARCHAR(50),
+        account_number VARCHAR(20) NOT NULL UNIQUE,
+        account_name VARCHAR(255) NOT NULL,
+        bank_name VARCHAR(100) NOT NULL,
+        bank_slug VARCHAR(50),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_virtual_accounts_customer (customer_code)
+      )
+    `);
+
+    // Create saved bank accounts for withdrawals
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS bank_accounts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        bank_code VARCHAR(20) NOT NULL,
+        bank_name VARCHAR(100) NOT NULL,
+        account_number VARCHAR(20) NOT NULL,
+        account_name VARCHAR(255) NOT NULL,
+        provider VARCHAR(20) NOT NULL DEFAULT 'paystack',
+        recipient_code VARCHAR(50) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_user_bank_account (user_id, bank_code, account_number)
+      )
+    `);
+
+    // Create saved cards (reusable gateway authorizations, encrypted) and auto top-up rules
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS saved_cards (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        gateway VARCHAR(20) NOT NULL,
+        authorization_code TEXT NOT NULL,
+        signature VARCHAR(100) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        brand VARCHAR(30),
+        last4 CHAR(4),
+        exp_month VARCHAR(2),
+        exp_year VARCHAR(4),
+        bank VARCHAR(100),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_saved_card (user_id, gateway, signature)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS auto_topup_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL UNIQUE,
+        card_id INT NOT NULL,
+        threshold DECIMAL(10,2) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        daily_cap DECIMAL(10,2) NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        paused_reason VARCHAR(255),
+        last_triggered_at DATETIME,
+        cap_notified_on DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (card_id) REFERENCES saved_cards(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create processed payment gateway webhook events (dedupes redelivered webhooks)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        gateway VARCHAR(20) NOT NULL,
+        event_id VARCHAR(100) NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        reference VARCHAR(100),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_webhook_event (gateway, event_id),
+        INDEX idx_webhook_events_reference (reference)
+      )
+    `);
+
     console.log('✅ Database tables initialized successfully');
     connection.release();
   } catch (error) {
@@ -138,9 +489,7 @@ const initializeDatabase = async () => {
   }
 };
 
-// Initialize on startup
-testConnection().then(() => {
-  initializeDatabase();
-});
+// Initialize on startup; `pool.ready` resolves once the tables exist
+pool.ready = testConnection().then(() => initializeDatabase());
 
 module.exports = pool;
@@ -0,0 +1,31 @@
+require('dotenv').config();
+
+// Per-disco vend and verification rules, looked up by serviceID then `default`.
+// The disco list itself comes from the catalog's electricity-bill category.
+// `minAmount` raises the catalog minimum, `meterPattern` is checked per meter type before
+// verification and purchase, and `verifyBeforePurchase` lists meter types whose purchases
+// need a verification_id from /verify-meter.
+// Example: DISCO_RULES={"abuja-electric":{"minAmount":1000},"kano-electric":{"meterPattern":{"prepaid":"^\\d{11}$"}}}
+const defaultRules = {
+  default: {
+    minAmount: 500,
+    meterPattern: {
+      prepaid: '^\\d{11,13}$',
+      postpaid: '^[0-9A-Za-z/-]{6,20}$'
+    },
+    verifyBeforePurchase: ['prepaid', 'postpaid']
+  }
+};
+
+let rules = defaultRules;
+if (process.env.DISCO_RULES) {
+  try {
+    rules = { ...defaultRules, ...JSON.parse(process.env.DISCO_RULES) };
+  } catch (error) {
+    console.error('❌ Invalid DISCO_RULES, using default disco rules:', error.message);
+  }
+}
+
+module.exports = {
+  rules
+};
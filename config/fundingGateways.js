@@ -0,0 +1,32 @@
+require('dotenv').config();
+const sandbox = require('./sandbox');
+
+// Funding gateway credentials. Flutterwave is only registered when its secret key is set.
+const gateways = {
+  paystack: {
+    type: 'paystack',
+    secretKey: process.env.PAYSTACK_SECRET_KEY
+  },
+  flutterwave: {
+    type: 'flutterwave',
+    enabled: Boolean(process.env.FLUTTERWAVE_SECRET_KEY),
+    baseURL: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3',
+    secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+    // The "secret hash" set on the Flutterwave dashboard, sent back as the verif-hash header
+    webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH
+  }
+};
+
+// Gateways /fund tries, in order; the next one is used while the first is down.
+// Example: FUNDING_GATEWAYS=flutterwave,paystack
+const order = (process.env.FUNDING_GATEWAYS || 'paystack,flutterwave')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+const timeout = parseInt(process.env.FUNDING_GATEWAY_TIMEOUT_MS) || 30000;
+
+// Sandbox mode only has the Paystack simulator
+module.exports = sandbox.enabled
+  ? { gateways: { paystack: gateways.paystack }, order: ['paystack'], timeout }
+  : { gateways, order, timeout };
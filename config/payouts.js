@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+// Withdrawals to bank accounts: which transfer provider pays out, and the fee and limits.
+// Amounts are in naira.
+module.exports = {
+  provider: process.env.PAYOUT_PROVIDER || 'paystack',
+  fee: parseFloat(process.env.WITHDRAWAL_FEE ?? 50),
+  minAmount: parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 100,
+  maxAmount: parseFloat(process.env.WITHDRAWAL_MAX_AMOUNT) || 200000,
+  // Per user, per calendar day, counting every withdrawal that hasn't failed
+  dailyLimit: parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT) || 500000,
+  // Saved bank accounts per user
+  maxAccounts: parseInt(process.env.WITHDRAWAL_MAX_ACCOUNTS) || 5
+};
@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+// Markup/discount rules looked up by serviceID, then network, then `default`.
+// `percent` is applied to the provider price (negative for a discount), `flat` is added after.
+// Example: PRICING_RULES={"default":{"percent":0},"mtn-data":{"percent":2},"glo":{"percent":-1},"dstv":{"flat":100}}
+const defaultRules = {
+  default: { percent: 0, flat: 0 }
+};
+
+let rules = defaultRules;
+if (process.env.PRICING_RULES) {
+  try {
+    rules = { ...defaultRules, ...JSON.parse(process.env.PRICING_RULES) };
+  } catch (error) {
+    console.error('❌ Invalid PRICING_RULES, using default pricing:', error.message);
+  }
+}
+
+module.exports = {
+  rules
+};
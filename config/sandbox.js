@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+// Sandbox mode swaps VTpass and Paystack for in-process simulators so the purchase and
+// funding lifecycle can run without live credentials. It is never enabled in production.
+const requested = process.env.SANDBOX_MODE === 'true';
+const isProduction = process.env.NODE_ENV === 'production';
+
+if (requested && isProduction) {
+  console.error('❌ SANDBOX_MODE is ignored when NODE_ENV=production');
+}
+
+module.exports = {
+  enabled: requested && !isProduction,
+  // Where the simulators deliver webhooks and send checkout redirects (this API server)
+  baseUrl: process.env.SANDBOX_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+  // How long pending purchases stay pending and delivered ones wait before a reversal
+  settleDelayMs: parseInt(process.env.SANDBOX_SETTLE_DELAY_MS) || 2 * 60 * 1000,
+  // Key the simulated Paystack signs its webhooks with; a fixed dev key unless PAYSTACK_SECRET_KEY is set
+  paystackSecretKey: process.env.PAYSTACK_SECRET_KEY || 'sk_sandbox_zippy_dev'
+};
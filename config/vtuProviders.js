@@ -0,0 +1,43 @@
+require('dotenv').config();
+const sandbox = require('./sandbox');
+
+// Provider credentials. The backup VTpass account is only registered when its keys are set.
+const providers = {
+  vtpass: {
+    type: 'vtpass',
+    baseURL: process.env.VTPASS_BASE_URL,
+    apiKey: process.env.VTPASS_API_KEY,
+    publicKey: process.env.VTPASS_PUBLIC_KEY,
+    secretKey: process.env.VTPASS_SECRET_KEY
+  },
+  'vtpass-backup': {
+    type: 'vtpass',
+    enabled: Boolean(process.env.VTPASS_BACKUP_API_KEY),
+    baseURL: process.env.VTPASS_BACKUP_BASE_URL || process.env.VTPASS_BASE_URL,
+    apiKey: process.env.VTPASS_BACKUP_API_KEY,
+    publicKey: process.env.VTPASS_BACKUP_PUBLIC_KEY,
+    secretKey: process.env.VTPASS_BACKUP_SECRET_KEY
+  }
+};
+
+// Routing rules: an ordered provider list per serviceID or network, falling back to `default`.
+// Example: VTU_PROVIDER_ROUTES={"default":["vtpass","vtpass-backup"],"mtn-data":["vtpass-backup","vtpass"]}
+const defaultRoutes = {
+  default: ['vtpass', 'vtpass-backup']
+};
+
+let routes = defaultRoutes;
+if (process.env.VTU_PROVIDER_ROUTES) {
+  try {
+    routes = { ...defaultRoutes, ...JSON.parse(process.env.VTU_PROVIDER_ROUTES) };
+  } catch (error) {
+    console.error('❌ Invalid VTU_PROVIDER_ROUTES, using default routing:', error.message);
+  }
+}
+
+const timeout = parseInt(process.env.VTU_PROVIDER_TIMEOUT_MS) || 30000;
+
+// Sandbox mode routes everything to the built-in VTpass simulator
+module.exports = sandbox.enabled
+  ? { providers: { sandbox: { type: 'sandbox' } }, routes: { default: ['sandbox'] }, defaultProvider: 'sandbox', timeout }
+  : { providers, routes, defaultProvider: 'vtpass', timeout };
@@ -0,0 +1,13 @@
+// Restricts a route to admin users. Must run after authMiddleware.
+const adminMiddleware = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admins only.'
+    });
+  }
+
+  next();
+};
+
+module.exports = adminMiddleware;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Keys are remembered per user for 24 hours
+const KEY_TTL_HOURS = 24;
+
+// Stable JSON so the same body always fingerprints the same regardless of key order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(canonicalize(req.body || {}))}`)
+  .digest('hex');
+
+// Server errors and validation failures aren't the request's outcome, so they aren't replayed
+const isFinal = (status, body) => status < 500 && !(status === 400 && Array.isArray(body?.errors));
+
+// Optional Idempotency-Key support for money-moving endpoints. Must run after authMiddleware.
+// The first request with a key runs normally and its final response is stored; retries with the
+// same key and body get that response replayed, and a reused key with another body gets 409.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ success: false, message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const userId = req.user.id;
+    const requestHash = fingerprint(req);
+
+    // Expired keys can be reused
+    await db.execute(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = ? AND idempotency_key = ? AND created_at < DATE_SUB(NOW(), INTERVAL ${KEY_TTL_HOURS} HOUR)`,
+      [userId, key]
+    );
+
+    try {
+      await db.execute(
+        'INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, status) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, key, req.method, `${req.baseUrl}${req.path}`, requestHash, 'processing']
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+
+      const [keys] = await db.execute(
+        'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+        [userId, key]
+      );
+      const stored = keys[0];
+
+      if (stored.request_hash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (stored.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      const body = typeof stored.response_body === 'string' ? JSON.parse(stored.response_body) : stored.response_body;
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(body);
+    }
+
+    // Store final responses so retries replay them
+    let saved = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (isFinal(res.statusCode, body)) {
+        saved = true;
+        db.execute(
+          'UPDATE idempotency_keys SET status = ?, response_status = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?',
+          ['completed', res.statusCode, JSON.stringify(body), userId, key]
+        ).catch((error) => console.error('Idempotency key save error:', error));
+      }
+      return originalJson(body);
+    };
+
+    // Anything else (errors, responses sent without res.json, dropped connections)
+    // releases the key so a retry runs the request again
+    let released = false;
+    const release = () => {
+      if (saved || released) return;
+      released = true;
+      db.execute(
+        "DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status = 'processing'",
+        [userId, key]
+      ).catch((error) => console.error('Idempotency key release error:', error));
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking Idempotency-Key'
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const adminMiddleware = require('../middleware/admin');
+const db = require('../config/database');
+const catalog = require('../services/catalog');
+const { refundHold } = require('../services/walletHolds');
+const ledger = require('../services/ledger');
+const walletIntegrity = require('../services/walletIntegrity');
+
+const router = express.Router();
+
+router.use(authMiddleware, adminMiddleware);
+
+// =================== Catalog ===================
+
+// List a service's variations, including disabled ones
+router.get('/catalog/variations/:serviceID', async (req, res) => {
+  try {
+    const variations = await catalog.getVariations(req.params.serviceID);
+    res.json({ success: true, variations });
+  } catch (error) {
+    console.error('Admin get variations error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Enable or disable a variation for purchase
+router.put('/catalog/variations/:id', [
+  body('enabled').isBoolean().withMessage('enabled must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const variation = await catalog.setVariationEnabled(req.params.id, enabled);
+
+    if (!variation) {
+      return res.status(404).json({ success: false, message: 'Variation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Variation ${enabled ? 'enabled' : 'disabled'}`,
+      variation
+    });
+  } catch (error) {
+    console.error('Admin update variation error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Sync the whole catalog, or one service's variations, from the provider now
+router.post('/catalog/sync', async (req, res) => {
+  try {
+    const { serviceID } = req.body || {};
+
+    if (serviceID) {
+      const count = await catalog.syncVariations(serviceID);
+      return res.json({ success: true, message: `Synced ${count} variations for ${serviceID}` });
+    }
+
+    await catalog.syncCatalog();
+    res.json({ success: true, message: 'Catalog sync completed' });
+  } catch (error) {
+    console.error('Admin catalog sync error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, message: 'Catalog sync failed' });
+  }
+});
+
+// =================== Transactions ===================
+
+// Refund a successful purchase to the user's wallet. The credit is a `refund` transaction
+// linked to the purchase, which moves to `refunded`.
+router.post('/transactions/:reference/refund', [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reference } = req.params;
+    const [transactions] = await db.execute(
+      'SELECT type, status FROM transactions WHERE reference = ?',
+      [reference]
+    );
+
+    if (transactions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+    if (!['airtime', 'data', 'bill'].includes(transactions[0].type)) {
+      return res.status(400).json({ success: false, message: 'Only airtime, data and bill purchases can be refunded' });
+    }
+
+    const refunded = await refundHold(reference, req.body.reason, req.user.id);
+    if (!refunded) {
+      return res.status(409).json({
+        success: false,
+        message: `Only successful purchases can be refunded, this one is ${transactions[0].status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Purchase refunded to wallet',
+      reference,
+      refund_reference: refunded.details.hold.refund_reference || null,
+      amount: refunded.details.hold.amount
+    });
+  } catch (error) {
+    console.error('Admin refund error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// =================== Ledger ===================
+
+// Every wallet_balance checked against its ledger sum, unbalanced journals and system account totals
+router.get('/ledger/check', async (req, res) => {
+  try {
+    const report = await ledger.checkBalances();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Admin ledger check error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// A user's wallet or a system account (e.g. system:fees): ledger balance and recent entries
+router.get('/ledger/accounts/:account', async (req, res) => {
+  try {
+    const account = /^\d+$/.test(req.params.account) ? ledger.userAccount(req.params.account) : req.params.account;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [balance, entries] = await Promise.all([
+      ledger.getBalance(account),
+      ledger.getEntries(account, { limit, offset: (page - 1) * limit })
+    ]);
+
+    res.json({ success: true, account, balance, entries });
+  } catch (error) {
+    console.error('Admin ledger account error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// =================== Wallet Integrity ===================
+
+// Latest checker run and the corrections waiting for review
+router.get('/wallet-integrity/report', async (req, res) => {
+  try {
+    const status = req.query.status || 'proposed';
+    const [runs] = await db.execute('SELECT * FROM wallet_integrity_runs ORDER BY id DESC LIMIT 1');
+    const [corrections] = await db.execute(
+      'SELECT * FROM wallet_corrections WHERE status = ? ORDER BY ABS(amount) DESC, id',
+      [status]
+    );
+
+    res.json({
+      success: true,
+      last_run: runs[0] || null,
+      corrections: corrections.map(walletIntegrity.formatCorrection)
+    });
+  } catch (error) {
+    console.error('Admin wallet integrity report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Check every wallet now
+router.post('/wallet-integrity/run', async (req, res) => {
+  try {
+    const summary = await walletIntegrity.runIntegrityCheck();
+    if (!summary) {
+      return res.status(409).json({ success: false, message: 'A check is already running' });
+    }
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Admin wallet integrity run error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Check one wallet now, without proposing anything
+router.get('/wallet-integrity/users/:id', async (req, res) => {
+  try {
+    const report = await walletIntegrity.checkUser(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Admin wallet integrity user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/wallet-integrity/corrections/:id/approve', [
+  body('note').optional().isString().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const result = await walletIntegrity.approveCorrection(req.params.id, req.user.id, req.body.note || null);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error, current: result.current });
+    }
+
+    res.json({ success: true, message: 'Correction applied', correction: walletIntegrity.formatCorrection(result.correction) });
+  } catch (error) {
+    console.error('Admin approve correction error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/wallet-integrity/corrections/:id/reject', [
+  body('note').optional().isString().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const rejected = await walletIntegrity.rejectCorrection(req.params.id, req.user.id, req.body.note || null);
+    if (!rejected) {
+      return res.status(404).json({ success: false, message: 'No proposed correction with this ID' });
+    }
+
+    res.json({ success: true, message: 'Correction rejected' });
+  } catch (error) {
+    console.error('Admin reject correction error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const db = require('../config/database');
+const generateRequestId = require('../services/requestId');
+const bulkPurchase = require('../services/bulkPurchase');
+
+const router = express.Router();
+
+// CSV uploads are sent as the raw request body
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+const findBatch = async (userId, reference) => {
+  const [batches] = await db.execute(
+    `SELECT id, reference, source, status, row_count, total_amount, reserved_amount, refunded_amount,
+            created_at, updated_at, completed_at
+     FROM bulk_batches WHERE user_id = ? AND reference = ?`,
+    [userId, reference]
+  );
+  return batches[0] || null;
+};
+
+const formatBatch = (batch) => ({
+  reference: batch.reference,
+  source: batch.source,
+  status: batch.status,
+  row_count: batch.row_count,
+  total_amount: parseFloat(batch.total_amount),
+  reserved_amount: parseFloat(batch.reserved_amount),
+  refunded_amount: parseFloat(batch.refunded_amount),
+  created_at: batch.created_at,
+  completed_at: batch.completed_at
+});
+
+// =================== Create Batch ===================
+// Accepts a CSV body (text/csv) with a header row of phone,network,amount,variation_code[,type],
+// or JSON as { rows: [...] } or { csv: "..." }. Network is detected when left blank.
+router.post('/', authMiddleware, csvBody, idempotency, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let rows;
+    let source;
+
+    if (typeof req.body === 'string') {
+      rows = bulkPurchase.parseCsv(req.body);
+      source = 'csv';
+    } else if (typeof req.body?.csv === 'string') {
+      rows = bulkPurchase.parseCsv(req.body.csv);
+      source = 'csv';
+    } else if (Array.isArray(req.body?.rows)) {
+      rows = req.body.rows;
+      source = 'json';
+    } else {
+      return res.status(400).json({ success: false, error: 'Send a CSV body or JSON with a rows array' });
+    }
+
+    const { items, errors, total } = await bulkPurchase.validateRows(userId, rows);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Some rows are invalid, nothing was charged', errors });
+    }
+
+    const reference = `BULK_${generateRequestId()}`;
+    const batch = await bulkPurchase.createBatch({ userId, reference, source, items, total });
+    if (!batch.success) {
+      return res.status(batch.status).json({ success: false, error: batch.error, total_amount: batch.total_amount });
+    }
+
+    bulkPurchase.enqueueBatch(batch.batchId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch accepted for processing',
+      batch: {
+        reference,
+        status: 'queued',
+        row_count: items.length,
+        total_amount: total
+      }
+    });
+  } catch (error) {
+    console.error('Create bulk batch error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to create batch' });
+  }
+});
+
+// =================== List Batches ===================
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const [batches] = await db.execute(
+      `SELECT reference, source, status, row_count, total_amount, reserved_amount, refunded_amount, created_at, completed_at
+       FROM bulk_batches WHERE user_id = ? ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+      [req.user.id]
+    );
+
+    res.json({ success: true, batches: batches.map(formatBatch) });
+  } catch (error) {
+    console.error('List bulk batches error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch batches' });
+  }
+});
+
+// =================== Batch Status ===================
+router.get('/:reference', authMiddleware, async (req, res) => {
+  try {
+    const batch = await findBatch(req.user.id, req.params.reference);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const items = await bulkPurchase.getBatchItems(batch.id);
+
+    res.json({
+      success: true,
+      batch: { ...formatBatch(batch), summary: bulkPurchase.summarize(items) },
+      items
+    });
+  } catch (error) {
+    console.error('Get bulk batch error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch batch' });
+  }
+});
+
+// =================== Result File ===================
+router.get('/:reference/results.csv', authMiddleware, async (req, res) => {
+  try {
+    const batch = await findBatch(req.user.id, req.params.reference);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const items = await bulkPurchase.getBatchItems(batch.id);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${batch.reference}.csv"`);
+    res.send(bulkPurchase.toResultCsv(items));
+  } catch (error) {
+    console.error('Download bulk results error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to build result file' });
+  }
+});
+
+module.exports = router;
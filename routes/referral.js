@@ -1,6 +1,7 @@
 const express = require('express');
 const authMiddleware = require('../middleware/auth');
 const db = require('../config/database');
+const ledger = require('../services/ledger');
 
 const router = express.Router();
 
@@ -179,18 +180,21 @@ router.post('/process-reward', authMiddleware, async (req, res) => {
       );
 
       // Credit referrer's wallet
-      await connection.execute(
-        'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?',
-        [rewardAmount, referrerId]
-      );
+      await ledger.post({
+        reference: `REFERRAL_${existingReferral[0].id}`,
+        kind: 'referral_reward',
+        description: `Referral reward for user ${userId}`,
+        entries: ledger.move(ledger.ACCOUNTS.REWARDS, ledger.userAccount(referrerId), rewardAmount)
+      }, connection);
 
       // Create transaction record for the reward
       await connection.execute(
-        'INSERT INTO transactions (user_id, type, amount, status, details) VALUES (?, ?, ?, ?, ?)',
+        'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
         [
           referrerId,
           'wallet_fund',
           rewardAmount,
+          `REFERRAL_${existingReferral[0].id}`,
           'success',
           JSON.stringify({
             type: 'referral_reward',
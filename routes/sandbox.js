@@ -0,0 +1,52 @@
+const express = require('express');
+const paystackSandbox = require('../services/sandbox/paystack');
+
+const router = express.Router();
+
+// Sandbox Paystack checkout page: settles the payment and redirects back like Paystack would.
+// Pass ?outcome=success|failed|abandoned to override the magic-amount outcome.
+router.get('/paystack/checkout/:reference', async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { outcome } = req.query;
+
+    if (outcome && !['success', 'failed', 'abandoned'].includes(outcome)) {
+      return res.status(400).json({ success: false, message: 'Invalid outcome' });
+    }
+
+    const redirectUrl = await paystackSandbox.completeCheckout(reference, outcome);
+    if (!redirectUrl) {
+      return res.status(404).json({ success: false, message: 'Sandbox payment not found' });
+    }
+
+    res.redirect(redirectUrl);
+  } catch (error) {
+    console.error('Sandbox checkout error:', error);
+    res.status(500).json({ success: false, message: 'Sandbox checkout failed' });
+  }
+});
+
+// Pay into a dedicated virtual account: delivers the inbound transfer webhook like Paystack would
+router.post('/paystack/transfer', async (req, res) => {
+  try {
+    const { account_number, amount, sender_name, sender_bank } = req.body;
+
+    if (!account_number || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'account_number and a positive amount are required' });
+    }
+
+    const reference = await paystackSandbox.sendTransfer({
+      account_number,
+      amount: parseFloat(amount),
+      sender_name,
+      sender_bank
+    });
+
+    res.json({ success: true, reference });
+  } catch (error) {
+    console.error('Sandbox transfer error:', error);
+    res.status(500).json({ success: false, message: 'Sandbox transfer failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const db = require('../config/database');
+const schedules = require('../services/schedules');
+
+const router = express.Router();
+
+// Purchase fields a schedule can carry, depending on its type
+const PURCHASE_FIELDS = ['network', 'phone', 'amount', 'variation_code', 'serviceID', 'billersCode', 'subscription_type'];
+
+const pickPurchaseFields = (input) => PURCHASE_FIELDS.reduce((fields, field) => {
+  if (input[field] !== undefined) fields[field] = input[field];
+  return fields;
+}, {});
+
+const findSchedule = async (userId, id) => {
+  const [rows] = await db.execute(
+    'SELECT * FROM purchase_schedules WHERE id = ? AND user_id = ?',
+    [id, userId]
+  );
+  return rows[0] || null;
+};
+
+const isFuture = (value) => {
+  if (new Date(value) <= new Date()) {
+    throw new Error('start_at must be in the future');
+  }
+  return true;
+};
+
+// =================== Create Schedule ===================
+router.post('/', authMiddleware, [
+  body('type').isIn(schedules.TYPES).withMessage('type must be airtime, data or bill'),
+  body('frequency').isIn(schedules.FREQUENCIES).withMessage('frequency must be once, daily, weekly or monthly'),
+  body('start_at').isISO8601().withMessage('start_at must be a date and time').bail().custom(isFuture),
+  body('label').optional().isLength({ max: 100 }),
+  body('subscription_type').optional().isIn(['change', 'renew'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { type, frequency, start_at, label } = req.body;
+
+    const built = await schedules.buildPayload(userId, type, pickPurchaseFields(req.body));
+    if (built.error) {
+      return res.status(400).json({ success: false, error: built.error, expected_amount: built.expected_amount });
+    }
+
+    const startAt = new Date(start_at);
+    const [result] = await db.execute(
+      `INSERT INTO purchase_schedules (user_id, type, label, payload, frequency, anchor_day, next_run_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, type, label || built.label, JSON.stringify(built.payload), frequency, startAt.getUTCDate(), startAt]
+    );
+
+    const schedule = await findSchedule(userId, result.insertId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created',
+      schedule: schedules.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to create schedule' });
+  }
+});
+
+// =================== List Schedules ===================
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    let whereConditions = 'WHERE user_id = ?';
+    const queryParams = [req.user.id];
+
+    if (status && status !== 'all') {
+      whereConditions += ' AND status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM purchase_schedules ${whereConditions} ORDER BY created_at DESC`,
+      queryParams
+    );
+
+    res.json({ success: true, schedules: rows.map(schedules.formatSchedule) });
+  } catch (error) {
+    console.error('List schedules error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch schedules' });
+  }
+});
+
+// =================== Get Schedule ===================
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.user.id, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({ success: true, schedule: schedules.formatSchedule(schedule) });
+  } catch (error) {
+    console.error('Get schedule error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch schedule' });
+  }
+});
+
+// =================== Edit Schedule ===================
+// Change timing or purchase details, or pause/resume with status
+router.put('/:id', authMiddleware, [
+  body('frequency').optional().isIn(schedules.FREQUENCIES).withMessage('frequency must be once, daily, weekly or monthly'),
+  body('start_at').optional().isISO8601().withMessage('start_at must be a date and time').bail().custom(isFuture),
+  body('status').optional().isIn(['active', 'paused']).withMessage('status must be active or paused'),
+  body('label').optional().isLength({ max: 100 }),
+  body('subscription_type').optional().isIn(['change', 'renew'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const schedule = await findSchedule(userId, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    if (schedule.status === 'cancelled' || schedule.status === 'completed') {
+      return res.status(400).json({ success: false, error: `This schedule is ${schedule.status} and can no longer be changed` });
+    }
+
+    const updates = {};
+
+    const changes = pickPurchaseFields(req.body);
+    if (Object.keys(changes).length > 0) {
+      const current = schedules.formatSchedule(schedule).details;
+
+      // A new number gets its network detected again unless one is given
+      if (changes.phone && !changes.network) delete current.network;
+
+      const built = await schedules.buildPayload(userId, schedule.type, { ...current, ...changes });
+      if (built.error) {
+        return res.status(400).json({ success: false, error: built.error, expected_amount: built.expected_amount });
+      }
+      updates.payload = JSON.stringify(built.payload);
+    }
+
+    if (req.body.label !== undefined) updates.label = req.body.label;
+    if (req.body.frequency !== undefined) updates.frequency = req.body.frequency;
+
+    if (req.body.start_at !== undefined) {
+      const startAt = new Date(req.body.start_at);
+      updates.next_run_at = startAt;
+      updates.anchor_day = startAt.getUTCDate();
+    }
+
+    if (req.body.status !== undefined) {
+      updates.status = req.body.status;
+      // A resumed schedule whose run time has passed runs on the worker's next pass
+      updates.pause_reason = req.body.status === 'paused' ? 'Paused by user' : null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const columns = Object.keys(updates);
+    await db.execute(
+      `UPDATE purchase_schedules SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => updates[column]), schedule.id]
+    );
+
+    const updated = await findSchedule(userId, schedule.id);
+
+    res.json({
+      success: true,
+      message: 'Schedule updated',
+      schedule: schedules.formatSchedule(updated)
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to update schedule' });
+  }
+});
+
+// =================== Cancel Schedule ===================
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.user.id, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    if (schedule.status === 'cancelled' || schedule.status === 'completed') {
+      return res.status(400).json({ success: false, error: `This schedule is already ${schedule.status}` });
+    }
+
+    await db.execute(
+      "UPDATE purchase_schedules SET status = 'cancelled', next_run_at = NULL WHERE id = ?",
+      [schedule.id]
+    );
+
+    res.json({ success: true, message: 'Schedule cancelled' });
+  } catch (error) {
+    console.error('Cancel schedule error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to cancel schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const db = require('../config/database');
+const tokenVault = require('../services/tokenVault');
+
+const router = express.Router();
+
+// =================== List / Search Tokens ===================
+// ?meter= filters by meter number (partial match)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { meter } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    let whereConditions = 'WHERE user_id = ?';
+    const queryParams = [req.user.id];
+
+    if (meter) {
+      whereConditions += ' AND meter_number LIKE ?';
+      queryParams.push(`%${String(meter).replace(/[%_\\]/g, '\\$&')}%`);
+    }
+
+    const [tokens] = await db.execute(
+      `SELECT * FROM electricity_tokens ${whereConditions} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+      queryParams
+    );
+
+    res.json({ success: true, tokens: tokens.map(tokenVault.formatToken) });
+  } catch (error) {
+    console.error('Get tokens error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch tokens' });
+  }
+});
+
+// =================== Get Token ===================
+router.get('/:reference', authMiddleware, async (req, res) => {
+  try {
+    const entry = await tokenVault.findToken(req.user.id, req.params.reference);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Token not found' });
+    }
+
+    res.json({ success: true, token: tokenVault.formatToken(entry) });
+  } catch (error) {
+    console.error('Get token error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch token' });
+  }
+});
+
+// =================== Retrieve Token ===================
+// Fetch a missing token for a delivered prepaid purchase by requerying the provider
+router.post('/:reference/retrieve', authMiddleware, async (req, res) => {
+  try {
+    const result = await tokenVault.retrieveToken(req.params.reference, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    if (!result.token.token) {
+      return res.status(404).json({
+        success: false,
+        error: 'The provider has not returned a token for this purchase yet. Please try again later.',
+        token: result.token
+      });
+    }
+
+    res.json({ success: true, token: result.token });
+  } catch (error) {
+    console.error('Retrieve token error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Failed to retrieve token' });
+  }
+});
+
+// =================== Resend Token ===================
+router.post('/:reference/resend', authMiddleware, async (req, res) => {
+  try {
+    const entry = await tokenVault.findToken(req.user.id, req.params.reference);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Token not found' });
+    }
+    if (!entry.token) {
+      return res.status(400).json({ success: false, error: 'No token has been captured for this purchase yet. Retrieve it first.' });
+    }
+
+    const [users] = await db.execute('SELECT full_name, email FROM users WHERE id = ?', [req.user.id]);
+    const emailSent = await tokenVault.emailToken(users[0], tokenVault.formatToken(entry));
+
+    if (!emailSent) {
+      return res.status(502).json({ success: false, error: 'Failed to send token email' });
+    }
+
+    res.json({ success: true, message: `Token sent to ${users[0].email}` });
+  } catch (error) {
+    console.error('Resend token error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to resend token' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const authMiddleware = require('../middleware/auth');
 const db = require('../config/database');
+const educationPins = require('../services/educationPins');
 
 const router = express.Router();
 
@@ -74,6 +75,27 @@ router.get('/:id', authMiddleware, async (req, res) => {
     const transaction = transactions[0];
     transaction.details = transaction.details ? JSON.parse(transaction.details) : null;
 
+    // Education PIN purchases carry their stored PIN/serial pairs
+    if (transaction.type === 'bill' && educationPins.isEducationService(transaction.details?.serviceID)) {
+      transaction.pins = await educationPins.getPins(transaction.reference);
+    }
+
+    // A purchase and its refunds are linked by original_reference; either end shows the chain
+    const chainReference = transaction.original_reference || transaction.reference;
+    const [chain] = await db.execute(
+      `SELECT id, type, amount, status, reference, original_reference, details, created_at
+       FROM transactions
+       WHERE user_id = ? AND (reference = ? OR original_reference = ?)
+       ORDER BY created_at, id`,
+      [userId, chainReference, chainReference]
+    );
+    transaction.refund_chain = chain.length > 1
+      ? chain.map(row => ({
+        ...row,
+        details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+      }))
+      : [];
+
     res.json({
       success: true,
       transaction
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
 const db = require('../config/database');
+const { getVirtualAccount } = require('../services/virtualAccounts');
 
 const router = express.Router();
 
@@ -11,7 +12,10 @@ router.get('/me', authMiddleware, async (req, res) => {
   try {
     res.json({
       success: true,
-      user: req.user
+      user: {
+        ...req.user,
+        virtual_account: await getVirtualAccount(req.user.id)
+      }
     });
   } catch (error) {
     console.error('Get profile error:', error);
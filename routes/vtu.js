@@ -1,67 +1,60 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const db = require('../config/database');
-const axios = require('axios');
+const vtuProviders = require('../services/providers');
+const { applyProviderStatus } = require('../services/vtuSettlement');
+const pricingEngine = require('../services/pricing');
+const { purchaseAirtime, purchaseData, payBill, purchaseEducation, redactSecrets } = require('../services/vtuPurchase');
+const educationPins = require('../services/educationPins');
+const discoService = require('../services/discos');
+const billers = require('../services/billers');
+const verificationSessions = require('../services/verificationSessions');
+const catalog = require('../services/catalog');
+const { NETWORKS, normalizePhone, resolveNetwork, resolvePurchaseNetwork } = require('../services/numberingPlan');
 
 const router = express.Router();
 
-const VT_PASS_API = process.env.VTPASS_BASE_URL;
-const API_KEY = process.env.VTPASS_API_KEY;
-const PUBLIC_KEY = process.env.VTPASS_PUBLIC_KEY;
-const SECRET_KEY = process.env.VTPASS_SECRET_KEY;
-
-// Axios instance for GET requests
-const vtpassGet = axios.create({
-  baseURL: VT_PASS_API,
-  headers: {
-    "api-key": API_KEY,
-    "public-key": PUBLIC_KEY,
-    "Content-Type": "application/json"
-  }
-});
+// =================== Airtime ===================
+router.post('/airtime', authMiddleware, idempotency, [
+  body('network').optional().isIn(NETWORKS),
+  body('phone').custom((phone) => normalizePhone(phone) !== null).withMessage('Enter a valid Nigerian phone number'),
+  body('amount').isFloat({ min: 50, max: 50000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
 
-// Axios instance for POST requests
-const vtpassPost = axios.create({
-  baseURL: VT_PASS_API,
-  headers: {
-    "api-key": API_KEY,
+    const userId = req.user.id;
 
+    // Detect the network from the number (or the user's override) when it isn't given
+    const resolved = await resolvePurchaseNetwork(userId, req.body.phone, req.body.network);
+    if (resolved.error) {
+      return res.status(400).json({ success: false, error: resolved.error, detected_network: resolved.detected_network });
+    }
+    const { network, phone } = resolved;
+
+    const { httpStatus, body: responsePayload } = await purchaseAirtime({ userId, network, phone, amount: req.body.amount });
 
+    console.log("Response sent to frontend:", JSON.stringify(responsePayload, null, 2));
+    return res.status(httpStatus).json(responsePayload);
 
-    
-    "secret-key": SECRET_KEY,
-    "Content-Type": "application/json"
+  } catch (error) {
+    console.error("Airtime error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.response?.data || error.message });
   }
 });
 
-// Generate request ID in the format YYYYMMDDHHII + random alphanumeric string
-const generateRequestId = () => {
-  // Get current date in Africa/Lagos timezone (GMT +1)
-  const now = new Date();
-  const lagosTime = new Date(now.getTime() + (1 * 60 * 60 * 1000)); // Add 1 hour for GMT+1
-
-  // Format to YYYYMMDDHHII
-  const year = lagosTime.getUTCFullYear();
-  const month = String(lagosTime.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(lagosTime.getUTCDate()).padStart(2, '0');
-  const hours = String(lagosTime.getUTCHours()).padStart(2, '0');
-  const minutes = String(lagosTime.getUTCMinutes()).padStart(2, '0');
-  const dateString = `${year}${month}${day}${hours}${minutes}`;
-
-  // Generate random alphanumeric string (8 characters for uniqueness)
-  const crypto = require('crypto');
-  const randomString = crypto.randomBytes(4).toString('hex'); // 8 characters
-
-  // Concatenate: first 12 numeric (date), then random string
-  return `${dateString}${randomString}`;
-};
-
-// =================== Airtime ===================
-router.post('/airtime', authMiddleware, [
-  body('network').isIn(['mtn', 'glo', 'airtel', 'etisalat']),
-  body('phone').isMobilePhone(),
-  body('amount').isFloat({ min: 50, max: 50000 })
+// =================== Data ===================
+router.post('/data', authMiddleware, idempotency, [
+  body('network').optional().isIn(NETWORKS),
+  body('phone').custom((phone) => normalizePhone(phone) !== null).withMessage('Enter a valid Nigerian phone number'),
+  body('variation_code').notEmpty(),
+  body('amount').isFloat({ min: 50, max: 500000 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -70,154 +63,61 @@ router.post('/airtime', authMiddleware, [
     }
 
     const userId = req.user.id;
-    const { network, phone, amount } = req.body;
-    const request_id = generateRequestId();
+    const { variation_code, amount } = req.body;
 
-    // Check wallet balance before proceeding
-    const [users] = await db.execute(
-      'SELECT wallet_balance FROM users WHERE id = ?',
-      [userId]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    // Detect the network from the number (or the user's override) when it isn't given
+    const resolved = await resolvePurchaseNetwork(userId, req.body.phone, req.body.network);
+    if (resolved.error) {
+      return res.status(400).json({ success: false, error: resolved.error, detected_network: resolved.detected_network });
     }
+    const { network, phone } = resolved;
 
-    const currentBalance = parseFloat(users[0].wallet_balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({ success: false, error: 'Insufficient wallet balance' });
-    }
+    const { httpStatus, body: responsePayload } = await purchaseData({ userId, network, phone, variation_code, amount });
 
-    // ✅ Map 'etisalat' to VTpass '9mobile'
-    const serviceMap = {
-      mtn: 'mtn',
-      glo: 'glo',
-      airtel: 'airtel',
-      etisalat: 'etisalat'
-    };
-    const serviceID = serviceMap[network];
-    if (!serviceID) {
-      return res.status(400).json({ success: false, error: 'Invalid network selected' });
-    }
+    console.log("Data response sent to frontend:", JSON.stringify(responsePayload, null, 2));
+    return res.status(httpStatus).json(responsePayload);
 
-    // Step 1: Make purchase
-    const purchaseResponse = await vtpassPost.post("/pay", {
-      request_id,
-      serviceID,
-      amount,
-      phone
-    });
+  } catch (error) {
+    console.error("Data error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.response?.data || error.message });
+  }
+});
 
-    const purchaseData = purchaseResponse.data;
-    console.log("Exact purchase response from VTpass:", JSON.stringify(purchaseData, null, 2));
-
-    // Step 2: Immediately requery transaction status
-    let statusResponse;
-    try {
-      const requeryResponse = await vtpassPost.post("/requery", { request_id });
-      statusResponse = requeryResponse.data;
-      console.log("Exact requery response from VTpass:", JSON.stringify(statusResponse, null, 2));
-    } catch (requeryError) {
-      console.error("Requery error:", requeryError.response?.data || requeryError.message);
-      return res.status(500).json({
-        success: false,
-        error: "Unable to confirm transaction status",
-        raw: purchaseData
-      });
-    }
+// =================== Network Lookup ===================
+// Lets the UI preselect the network for a number
+router.get('/network/:phone', authMiddleware, async (req, res) => {
+  try {
+    const resolved = await resolveNetwork(req.user.id, req.params.phone);
 
-    const txStatus = statusResponse?.content?.transactions?.status || "unknown";
-
-    // Step 3: Map VTpass status into success/failure/pending and record all transactions
-    // VTpass statuses: initiated (transaction initiated), pending (awaiting confirmation), delivered (successful)
-    const reference = request_id;
-    const transactionDetails = {
-      network: network,
-      phone: phone,
-      amount: amount,
-      serviceID: serviceID,
-      request_id: request_id
-    };
-
-    let responsePayload;
-    let transactionStatus;
-
-    if (txStatus === "delivered") {
-      transactionStatus = 'success';
-      responsePayload = { success: true, status: "success", data: statusResponse };
-
-      try {
-        // Start database transaction
-        const connection = await db.getConnection();
-        await connection.beginTransaction();
-
-        // Deduct from wallet
-        await connection.execute(
-          'UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?',
-          [amount, userId]
-        );
-
-        // Create transaction record
-        await connection.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'airtime', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-
-        await connection.commit();
-        connection.release();
-
-        console.log(`Airtime transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-        // Continue with response even if DB fails
-      }
-    } else if (txStatus === "pending" || txStatus === "initiated") {
-      transactionStatus = 'pending';
-      responsePayload = { success: true, status: "pending", data: statusResponse };
-
-      try {
-        // Record pending transaction (don't deduct wallet yet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'airtime', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Airtime transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
-    } else {
-      transactionStatus = 'failed';
-      responsePayload = { success: false, status: "failed", data: statusResponse };
-
-      try {
-        // Record failed transaction (don't deduct wallet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'airtime', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Airtime transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
+    if (!resolved.phone) {
+      return res.status(400).json({ success: false, error: 'Enter a valid Nigerian phone number' });
     }
 
-    console.log("Response sent to frontend:", JSON.stringify(responsePayload, null, 2));
-    return res.json(responsePayload);
-
+    res.json({ success: true, ...resolved });
   } catch (error) {
-    console.error("Airtime error:", error.response?.data || error.message);
-    res.status(500).json({ success: false, error: error.response?.data || error.message });
+    console.error("Network lookup error:", error.message);
+    res.status(500).json({ success: false, error: 'Network lookup failed' });
   }
 });
 
+// =================== Network Overrides (ported numbers) ===================
+router.get('/network-overrides', authMiddleware, async (req, res) => {
+  try {
+    const [overrides] = await db.execute(
+      'SELECT id, phone_number, network, created_at, updated_at FROM phone_network_overrides WHERE user_id = ? ORDER BY updated_at DESC',
+      [req.user.id]
+    );
 
+    res.json({ success: true, overrides });
+  } catch (error) {
+    console.error("Get network overrides error:", error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch network overrides' });
+  }
+});
 
-// =================== Data ===================
-router.post('/data', authMiddleware, [
-  body('network').notEmpty(),
-  body('phone').isMobilePhone(),
-  body('variation_code').notEmpty(),
-  body('amount').isFloat({ min: 50, max: 500000 })
+router.put('/network-overrides', authMiddleware, [
+  body('phone').custom((phone) => normalizePhone(phone) !== null).withMessage('Enter a valid Nigerian phone number'),
+  body('network').isIn(NETWORKS).withMessage('Invalid network')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -225,153 +125,46 @@ router.post('/data', authMiddleware, [
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const userId = req.user.id;
-    const { network, phone, variation_code, amount } = req.body;
-    const request_id = generateRequestId();
+    const phone = normalizePhone(req.body.phone);
+    const { network } = req.body;
 
-    // Check wallet balance before proceeding
-    const [users] = await db.execute(
-      'SELECT wallet_balance FROM users WHERE id = ?',
-      [userId]
+    await db.execute(
+      `INSERT INTO phone_network_overrides (user_id, phone_number, network) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE network = VALUES(network)`,
+      [req.user.id, phone, network]
     );
 
-    if (users.length === 0) {
-      return res.status(404).json({ success: false, error: 'User not found' });
-    }
-
-    const currentBalance = parseFloat(users[0].wallet_balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({ success: false, error: 'Insufficient wallet balance' });
-    }
-
-    // Map network to serviceID for data
-    const serviceMap = {
-      mtn: 'mtn-data',
-      glo: 'glo-data',
-      airtel: 'airtel-data',
-      etisalat: 'etisalat-data'
-    };
-    const serviceID = serviceMap[network];
-    if (!serviceID) {
-      return res.status(400).json({ success: false, error: 'Invalid network selected' });
-    }
+    res.json({ success: true, message: 'Network override saved', override: { phone_number: phone, network } });
+  } catch (error) {
+    console.error("Save network override error:", error.message);
+    res.status(500).json({ success: false, error: 'Failed to save network override' });
+  }
+});
 
-    // Step 1: Make purchase
-    const purchaseResponse = await vtpassPost.post("/pay", {
-      request_id,
-      serviceID,
-      variation_code,
-      phone
-    });
+router.delete('/network-overrides/:phone', authMiddleware, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
 
-    const purchaseData = purchaseResponse.data;
-    console.log("Exact data purchase response from VTpass:", JSON.stringify(purchaseData, null, 2));
-
-    // Step 2: Immediately requery transaction status
-    let statusResponse;
-    try {
-      const requeryResponse = await vtpassPost.post("/requery", { request_id });
-      statusResponse = requeryResponse.data;
-      console.log("Exact data requery response from VTpass:", JSON.stringify(statusResponse, null, 2));
-    } catch (requeryError) {
-      console.error("Data requery error:", requeryError.response?.data || requeryError.message);
-      return res.status(500).json({
-        success: false,
-        error: "Unable to confirm transaction status",
-        raw: purchaseData
-      });
-    }
+    const [result] = await db.execute(
+      'DELETE FROM phone_network_overrides WHERE user_id = ? AND phone_number = ?',
+      [req.user.id, phone]
+    );
 
-    const txStatus = statusResponse?.content?.transactions?.status || "unknown";
-
-    // Step 3: Map VTpass status into success/failure/pending and record all transactions
-    const reference = request_id;
-    const transactionDetails = {
-      network: network,
-      phone: phone,
-      variation_code: variation_code,
-      amount: amount,
-      serviceID: serviceID,
-      request_id: request_id
-    };
-
-    let responsePayload;
-    let transactionStatus;
-
-    if (txStatus === "delivered") {
-      transactionStatus = 'success';
-      responsePayload = { success: true, status: "success", data: statusResponse };
-
-      try {
-        // Start database transaction
-        const connection = await db.getConnection();
-        await connection.beginTransaction();
-
-        // Deduct from wallet
-        await connection.execute(
-          'UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?',
-          [amount, userId]
-        );
-
-        // Create transaction record
-        await connection.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'data', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-
-        await connection.commit();
-        connection.release();
-
-        console.log(`Data transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-        // Continue with response even if DB fails
-      }
-    } else if (txStatus === "pending" || txStatus === "initiated") {
-      transactionStatus = 'pending';
-      responsePayload = { success: true, status: "pending", data: statusResponse };
-
-      try {
-        // Record pending transaction (don't deduct wallet yet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'data', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Data transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
-    } else {
-      transactionStatus = 'failed';
-      const errorMessage = statusResponse?.content?.transactions?.product_name ?
-        `Data purchase failed for ${statusResponse.content.transactions.product_name}` :
-        'Data purchase failed';
-      responsePayload = { success: false, status: "failed", error: errorMessage, data: statusResponse };
-
-      try {
-        // Record failed transaction (don't deduct wallet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, 'data', amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Data transaction recorded: User ${userId}, Amount: ${amount}, Network: ${network}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: 'Network override not found' });
     }
 
-    console.log("Data response sent to frontend:", JSON.stringify(responsePayload, null, 2));
-    return res.json(responsePayload);
-
+    res.json({ success: true, message: 'Network override removed' });
   } catch (error) {
-    console.error("Data error:", error.response?.data || error.message);
-    res.status(500).json({ success: false, error: error.response?.data || error.message });
+    console.error("Delete network override error:", error.message);
+    res.status(500).json({ success: false, error: 'Failed to remove network override' });
   }
 });
 
 // =================== Verify Smartcard ===================
+// A successful verification returns a verification_id that /bills requires for TV purchases
 router.post('/verify-smartcard', authMiddleware, [
-  body('serviceID').isIn(['dstv', 'gotv']).withMessage('ServiceID must be dstv or gotv'),
+  body('serviceID').notEmpty().withMessage('serviceID is required'),
   body('billersCode').notEmpty().withMessage('Smartcard number is required')
 ], async (req, res) => {
   try {
@@ -382,23 +175,51 @@ router.post('/verify-smartcard', authMiddleware, [
 
     const { serviceID, billersCode } = req.body;
 
-    const response = await vtpassPost.post("/merchant-verify", {
+    const biller = await billers.getBiller(serviceID);
+    if (!biller || biller.category !== 'tv' || !biller.verify({})) {
+      return res.status(400).json({ success: false, error: 'This service does not support smartcard verification' });
+    }
+    if (!biller.billersCode.pattern.test(String(billersCode))) {
+      return res.status(400).json({ success: false, error: `Invalid smartcard number for ${biller.name}` });
+    }
+
+    const result = await billers.verifyCustomer({ serviceID, billersCode });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error, details: result.details });
+    }
+
+    const session = await verificationSessions.createSession({
+      userId: req.user.id,
       serviceID,
-      billersCode
+      billersCode,
+      customerName: result.customerName,
+      verification: result.verification
     });
 
-    res.json(response.data);
+    res.json({ ...result.verification, ...session });
   } catch (error) {
     console.error("Smartcard verification error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
   }
 });
 
+// =================== Electricity Discos ===================
+// Supported discos from the catalog with their vend limits
+router.get('/discos', authMiddleware, async (req, res) => {
+  try {
+    const discos = await discoService.getDiscos();
+    res.json({ success: true, discos });
+  } catch (error) {
+    console.error("Discos error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch discos' });
+  }
+});
+
 // =================== Verify Meter ===================
 router.post('/verify-meter', authMiddleware, [
-  body('serviceID').isIn(['portharcourt-electric', 'abuja-electric', 'ikeja-electric', 'eko-electric']).withMessage('Invalid serviceID for meter verification'),
+  body('serviceID').notEmpty().withMessage('serviceID is required'),
   body('billersCode').notEmpty().withMessage('Meter number is required'),
-  body('type').isIn(['prepaid', 'postpaid']).withMessage('Type must be prepaid or postpaid')
+  body('type').isIn(discoService.METER_TYPES).withMessage('Type must be prepaid or postpaid')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -410,40 +231,31 @@ router.post('/verify-meter', authMiddleware, [
 
     console.log(`Meter verification request: serviceID=${serviceID}, billersCode=${billersCode}, type=${type}`);
 
-    const response = await vtpassPost.post("/merchant-verify", {
-      serviceID,
-      billersCode,
-      type
-    });
-
-    console.log("VTpass meter verification response:", JSON.stringify(response.data, null, 2));
+    // Disco rules (supported disco, meter format) are applied before asking the provider
+    const result = await discoService.verifyMeter({ serviceID, billersCode, type });
 
-    // Check if VTpass returned an error
-    if (response.data.code && response.data.code !== "000") {
-      // VTpass error response
-      const errorMessage = response.data.response_description || response.data.content?.error || "Meter verification failed";
-      console.error("VTpass meter verification error:", errorMessage);
-      return res.status(400).json({
+    if (result.error) {
+      console.error("Meter verification error:", result.error);
+      return res.status(result.status).json({
         success: false,
-        error: errorMessage,
-        details: response.data
+        error: result.error,
+        details: result.details
       });
     }
 
-    // Check for successful response with customer data
-    if (response.data.content && response.data.content.Customer_Name) {
-      res.json(response.data);
-    } else if (response.data.Customer_Name) {
-      res.json(response.data);
-    } else {
-      // No customer name found, but no explicit error from VTpass
-      console.warn("Meter verification response missing Customer_Name:", response.data);
-      res.status(400).json({
-        success: false,
-        error: "Meter verification failed. Please check your meter number.",
-        details: response.data
-      });
-    }
+    console.log("Provider meter verification response:", JSON.stringify(result.verification, null, 2));
+
+    // The verification_id is required by /bills for meters that verify first
+    const session = await verificationSessions.createSession({
+      userId: req.user.id,
+      serviceID,
+      billersCode,
+      type,
+      customerName: result.customerName,
+      verification: result.verification
+    });
+
+    res.json({ ...result.verification, min_amount: result.minAmount, ...session });
   } catch (error) {
     console.error("Meter verification error:", error.response?.data || error.message);
     const errorMessage = error.response?.data?.response_description ||
@@ -455,13 +267,11 @@ router.post('/verify-meter', authMiddleware, [
 });
 
 // =================== Bills (TV, Electricity, etc.) ===================
-router.post('/bills', authMiddleware, [
+// Per-biller fields and limits are checked by payBill against services/billers
+router.post('/bills', authMiddleware, idempotency, [
   body('serviceID').notEmpty(),
   body('billersCode').notEmpty(),
-  body('variation_code').optional(),
-  body('amount').isFloat({ min: 100 }),
-  body('phone').optional().isMobilePhone(),
-  body('subscription_type').optional().isIn(['change', 'renew'])
+  body('amount').isFloat({ gt: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -470,168 +280,101 @@ router.post('/bills', authMiddleware, [
     }
 
     const userId = req.user.id;
-    const { serviceID, billersCode, variation_code, amount, phone, subscription_type } = req.body;
-    const request_id = generateRequestId();
+    const { serviceID, billersCode, variation_code, amount, phone, subscription_type, verification_id } = req.body;
 
-    // Check wallet balance before proceeding
-    const [users] = await db.execute(
-      'SELECT wallet_balance FROM users WHERE id = ?',
-      [userId]
-    );
+    const { httpStatus, body: responsePayload } = await payBill({ userId, serviceID, billersCode, variation_code, amount, phone, subscription_type, verification_id });
 
-    if (users.length === 0) {
-      return res.status(404).json({ success: false, error: 'User not found' });
-    }
+    console.log("Bills response sent to frontend:", JSON.stringify(redactSecrets(responsePayload), null, 2));
+    return res.status(httpStatus).json(responsePayload);
+
+  } catch (error) {
+    console.error("Bills error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.response?.data || error.message });
+  }
+});
 
-    const currentBalance = parseFloat(users[0].wallet_balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({ success: false, error: 'Insufficient wallet balance' });
+// =================== Education PINs (WAEC, NECO, JAMB) ===================
+// Check a JAMB profile ID before buying; the purchase repeats this check itself
+router.post('/education/verify-profile', authMiddleware, [
+  body('serviceID').isIn(educationPins.PROFILE_SERVICES).withMessage('Invalid serviceID for profile verification'),
+  body('billersCode').notEmpty().withMessage('Profile ID is required'),
+  body('variation_code').notEmpty().withMessage('variation_code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    // Prepare purchase payload
-    const purchasePayload = {
-      request_id,
-      serviceID,
-      billersCode,
-      amount
-    };
+    const { serviceID, billersCode, variation_code } = req.body;
+    const profile = await educationPins.verifyProfile({ serviceID, billersCode, variation_code });
 
-    // Add phone for DSTV/GOTV/Startimes, and for Showmax (use billersCode as phone)
-    if (phone && serviceID !== 'showmax') {
-      purchasePayload.phone = phone;
-    } else if (serviceID === 'showmax') {
-      purchasePayload.phone = billersCode; // For Showmax, billersCode is the phone number
+    if (profile.error) {
+      return res.status(400).json({ success: false, error: profile.error });
     }
 
-    // Add variation_code and subscription_type for DSTV/GOTV
-    if (variation_code) purchasePayload.variation_code = variation_code;
-    if (subscription_type) purchasePayload.subscription_type = subscription_type;
-
-    // Step 1: Make purchase
-    const purchaseResponse = await vtpassPost.post("/pay", purchasePayload);
-    const purchaseData = purchaseResponse.data;
-    console.log("Exact bills purchase response from VTpass:", JSON.stringify(purchaseData, null, 2));
-
-    // Step 2: Immediately requery transaction status
-    let statusResponse;
-    try {
-      const requeryResponse = await vtpassPost.post("/requery", { request_id });
-      statusResponse = requeryResponse.data;
-      console.log("Exact bills requery response from VTpass:", JSON.stringify(statusResponse, null, 2));
-    } catch (requeryError) {
-      console.error("Bills requery error:", requeryError.response?.data || requeryError.message);
-      return res.status(500).json({
-        success: false,
-        error: "Unable to confirm transaction status",
-        raw: purchaseData
-      });
-    }
+    res.json({ success: true, customer_name: profile.customerName, billersCode });
+  } catch (error) {
+    console.error("Education profile verification error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Profile verification failed. Please try again.' });
+  }
+});
 
-    const txStatus = statusResponse?.content?.transactions?.status || "unknown";
-
-    // Step 3: Map VTpass status into success/failure/pending and record all transactions
-    const reference = request_id;
-    let token = null;
-
-    let responsePayload;
-    let transactionStatus;
-
-    if (txStatus === "delivered") {
-      transactionStatus = 'success';
-      // For prepaid electricity, extract token from response
-      if (variation_code === "prepaid" && (serviceID === "portharcourt-electric" || serviceID === "abuja-electric" || serviceID === "eko-electric" || serviceID === "ikeja-electric")) {
-        token = statusResponse?.content?.Token || statusResponse?.Token || statusResponse?.purchased_code || statusResponse?.mainToken;
-      }
-      responsePayload = { success: true, status: "success", data: statusResponse, token };
-    } else if (txStatus === "pending" || txStatus === "initiated") {
-      transactionStatus = 'pending';
-      responsePayload = { success: true, status: "pending", data: statusResponse };
-    } else {
-      transactionStatus = 'failed';
-      const errorMessage = statusResponse?.content?.transactions?.product_name ?
-        `Bill payment failed for ${statusResponse.content.transactions.product_name}` :
-        'Bill payment failed';
-      responsePayload = { success: false, status: "failed", error: errorMessage, data: statusResponse };
+router.post('/education', authMiddleware, idempotency, [
+  body('serviceID').isIn(educationPins.EDUCATION_SERVICES).withMessage('Invalid education service'),
+  body('variation_code').notEmpty(),
+  body('quantity').optional().isInt({ min: 1, max: educationPins.MAX_QUANTITY }).withMessage(`Quantity must be between 1 and ${educationPins.MAX_QUANTITY}`),
+  body('phone').custom((phone) => normalizePhone(phone) !== null).withMessage('Enter a valid Nigerian phone number'),
+  body('billersCode').optional().notEmpty(),
+  body('amount').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    // Set transaction type to 'bill' for all bills transactions
-    let transactionType = 'bill';
+    const { serviceID, variation_code, billersCode, amount } = req.body;
 
-    const transactionDetails = {
+    const { httpStatus, body: responsePayload } = await purchaseEducation({
+      userId: req.user.id,
       serviceID,
-      billersCode,
       variation_code,
-      amount,
-      phone,
-      subscription_type,
-      request_id,
-      token: token || null
-    };
-
-    if (txStatus === "delivered") {
-      try {
-        // Start database transaction
-        const connection = await db.getConnection();
-        await connection.beginTransaction();
-
-        // Deduct from wallet
-        await connection.execute(
-          'UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?',
-          [amount, userId]
-        );
-
-        // Create transaction record
-        await connection.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, transactionType, amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-
-        await connection.commit();
-        connection.release();
-
-        console.log(`Bills transaction recorded: User ${userId}, Amount: ${amount}, Service: ${serviceID}, Type: ${transactionType}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-        // Continue with response even if DB fails
-      }
-    } else if (txStatus === "pending" || txStatus === "initiated") {
-      try {
-        // Record pending transaction (don't deduct wallet yet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, transactionType, amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Bills transaction recorded: User ${userId}, Amount: ${amount}, Service: ${serviceID}, Type: ${transactionType}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
-    } else {
-      try {
-        // Record failed transaction (don't deduct wallet)
-        await db.execute(
-          'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, transactionType, amount, reference, transactionStatus, JSON.stringify(transactionDetails)]
-        );
-        console.log(`Bills transaction recorded: User ${userId}, Amount: ${amount}, Service: ${serviceID}, Type: ${transactionType}, Status: ${transactionStatus}`);
-      } catch (dbError) {
-        console.error('Database error recording transaction:', dbError);
-      }
-    }
+      quantity: parseInt(req.body.quantity) || 1,
+      phone: normalizePhone(req.body.phone),
+      billersCode,
+      amount
+    });
 
-    console.log("Bills response sent to frontend:", JSON.stringify(responsePayload, null, 2));
-    return res.json(responsePayload);
+    console.log("Education response sent to frontend:", JSON.stringify(redactSecrets(responsePayload), null, 2));
+    return res.status(httpStatus).json(responsePayload);
 
   } catch (error) {
-    console.error("Bills error:", error.response?.data || error.message);
+    console.error("Education error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
   }
 });
 
+// PINs for a purchase, fetched from the provider if they weren't captured at purchase time
+router.get('/education/:reference/pins', authMiddleware, async (req, res) => {
+  try {
+    const result = await educationPins.retrievePins(req.params.reference, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, reference: req.params.reference, pins: result.pins });
+  } catch (error) {
+    console.error("Education PINs error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch PINs' });
+  }
+});
+
 // =================== Fetch Service Categories ===================
 router.get('/services',authMiddleware, async (req, res) => {
   try {
-    const response = await vtpassGet.get(`/service-categories`);
-    res.json(response.data);
+    const categories = await catalog.getCategories();
+    res.json({ success: true, categories });
   } catch (error) {
     console.error("Service categories error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
@@ -642,8 +385,8 @@ router.get('/services',authMiddleware, async (req, res) => {
 router.get('/services/:identifier', authMiddleware, async (req, res) => {
   try {
     const { identifier } = req.params;
-    const response = await vtpassGet.get(`/services?identifier=${identifier}`);
-    res.json(response.data);
+    const services = await catalog.getServices(identifier);
+    res.json({ success: true, services });
   } catch (error) {
     console.error("Service IDs error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
@@ -654,8 +397,11 @@ router.get('/services/:identifier', authMiddleware, async (req, res) => {
 router.get('/variations/:serviceID', authMiddleware, async (req, res) => {
   try {
     const { serviceID } = req.params;
-    const response = await vtpassGet.get(`/service-variations?serviceID=${serviceID}`);
-    res.json(response.data);
+    const variations = await catalog.getVariations(serviceID);
+
+    // Admin-disabled plans are hidden; prices are what the user will be charged
+    const enabled = variations.filter((variation) => variation.enabled);
+    res.json({ success: true, serviceID, variations: pricingEngine.priceVariations(serviceID, enabled) });
   } catch (error) {
     console.error("Variations error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
@@ -673,12 +419,85 @@ router.post('/requery', authMiddleware, [
     }
 
     const { request_id } = req.body;
-    const response = await vtpassPost.post("/requery", { request_id });
-    res.json(response.data);
+
+    // Ask the provider that fulfilled this user's transaction
+    const [transactions] = await db.execute(
+      'SELECT provider FROM transactions WHERE reference = ? AND user_id = ?',
+      [request_id, req.user.id]
+    );
+
+    const { data } = await vtuProviders.requery(transactions[0]?.provider, request_id);
+    res.json(data);
   } catch (error) {
     console.error("Requery error:", error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.response?.data || error.message });
   }
 });
 
+// =================== VTpass Callback ===================
+// Check the shared secret set on the callback URL configured in the VTpass dashboard
+const isValidCallbackToken = (req) => {
+  const secret = process.env.VTPASS_CALLBACK_SECRET;
+  const token = req.query.token || req.header('x-callback-token');
+
+  if (!secret || !token) return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(String(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+router.post('/callback', async (req, res) => {
+  try {
+    if (!isValidCallbackToken(req)) {
+      console.warn("Rejected VTpass callback with invalid token");
+      return res.status(401).json({ success: false, error: 'Invalid callback token' });
+    }
+
+    const { type, data } = req.body || {};
+
+    // Only transaction updates affect wallets; acknowledge everything else
+    if (type !== 'transaction-update' || !data) {
+      return res.json({ response: 'success' });
+    }
+
+    const reference = data.requestId || data.request_id || data.reference;
+    if (!reference) {
+      return res.status(400).json({ success: false, error: 'request_id is required' });
+    }
+
+    const [transactions] = await db.execute(
+      "SELECT id, status, provider FROM transactions WHERE reference = ? AND type IN ('airtime', 'data', 'bill')",
+      [reference]
+    );
+
+    if (transactions.length === 0) {
+      console.warn(`VTpass callback for unknown request_id ${reference}`);
+      return res.json({ response: 'success' });
+    }
+
+    // Never trust the pushed status on its own: confirm it with VTpass first
+    const { status: txStatus } = await vtuProviders.requery(transactions[0].provider, reference);
+    const pushedStatus = data.content?.transactions?.status || "unknown";
+
+    console.log(`VTpass callback for ${reference}: pushed ${pushedStatus}, confirmed ${txStatus}`);
+
+    if (txStatus !== "unknown") {
+      // Settlement transitions only fire once, so replayed callbacks are no-ops
+      await applyProviderStatus(reference, txStatus, {
+        last_callback: {
+          pushed_status: pushedStatus,
+          confirmed_status: txStatus,
+          received_at: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({ response: 'success' });
+  } catch (error) {
+    console.error("VTpass callback error:", error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Callback processing failed' });
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const db = require('../config/database');
 const crypto = require('crypto');
-const axios = require('axios');
+const gateways = require('../services/gateways');
+const { debitWallet, transferFunds } = require('../services/walletDebits');
+const { fundingFee, settleFunding, settleBankTransfer } = require('../services/walletFunding');
+const { getVirtualAccount, assignVirtualAccount } = require('../services/virtualAccounts');
+const { getPayoutProvider } = require('../services/payouts');
+const { applyPayoutStatus } = require('../services/withdrawals');
+const cardVault = require('../services/cardVault');
+const cardFunding = require('../services/cardFunding');
 
 const router = express.Router();
 
@@ -38,7 +46,8 @@ router.get('/balance', authMiddleware, async (req, res) => {
 
 // Fund wallet (initiate payment)
 router.post('/fund', authMiddleware, [
-  body('amount').isFloat({ min: 100 }).withMessage('Minimum funding amount is ₦100')
+  body('amount').isFloat({ min: 100 }).withMessage('Minimum funding amount is ₦100'),
+  body('save_card').optional().isBoolean().withMessage('save_card must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -50,7 +59,7 @@ router.post('/fund', authMiddleware, [
       });
     }
 
-    const { amount } = req.body;
+    const { amount, save_card } = req.body;
     const userId = req.user.id;
 
     // Get user email
@@ -71,38 +80,26 @@ router.post('/fund', authMiddleware, [
     // Generate unique reference
     const reference = `ZP_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 
-    // Calculate Paystack fee
-    let fee = 0;
-    if (amount < 2500) {
-      fee = amount * 0.015;
-    } else {
-      fee = (amount * 0.015) + 100;
-    }
+    // Calculate gateway fee
+    const fee = fundingFee(amount);
 
     const amountToCredit = amount - fee;
 
-    // Initialize Paystack transaction
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
-        amount: amount * 100, // Convert to kobo (Gross Amount)
+    // Initialize the checkout on the first available gateway
+    let checkout;
+    try {
+      checkout = await gateways.initializePayment({
+        amount: parseFloat(amount), // Gross Amount
         email: userEmail,
         reference: reference,
-        callback_url: `${process.env.FRONTEND_URL}/wallet`,
+        callbackUrl: `${process.env.FRONTEND_URL}/wallet`,
         metadata: {
           user_id: userId,
           type: 'wallet_fund'
         }
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!paystackResponse.data.status) {
+      });
+    } catch (gatewayError) {
+      console.error('Funding gateways failed to initialize payment:', gatewayError.message);
       return res.status(400).json({
         success: false,
         message: 'Failed to initialize payment'
@@ -111,17 +108,20 @@ router.post('/fund', authMiddleware, [
 
     // Create transaction as "pending" with NET amount to credit
     await db.execute(
-      'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
+      'INSERT INTO transactions (user_id, type, amount, reference, provider, status, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
       [
         userId,
         'wallet_fund',
         amountToCredit,
         reference,
+        checkout.gateway,
         'pending',
         JSON.stringify({
-          payment_method: 'paystack',
+          payment_method: checkout.gateway,
           original_amount: amount,
-          fee: fee
+          fee: fee,
+          // The card paid with is saved for later charges unless this is false
+          save_card: save_card !== false && save_card !== 'false'
         })
       ]
     );
@@ -130,9 +130,10 @@ router.post('/fund', authMiddleware, [
       success: true,
       message: 'Payment initialized successfully',
       data: {
-        authorization_url: paystackResponse.data.data.authorization_url,
-        access_code: paystackResponse.data.data.access_code,
-        reference: reference
+        authorization_url: checkout.authorization_url,
+        access_code: checkout.access_code,
+        reference: reference,
+        gateway: checkout.gateway
       },
       email: userEmail
     });
@@ -147,42 +148,266 @@ router.post('/fund', authMiddleware, [
 });
 
 
-// Verify payment (called after successful payment callback)
-router.post('/verify', authMiddleware, async (req, res) => {
+// Get the user's bank transfer account, assigning one on first request
+router.post('/virtual-account', authMiddleware, async (req, res) => {
   try {
-    const { reference } = req.body;
+    const result = await assignVirtualAccount(req.user);
 
-    if (!reference) {
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      account: result.account
+    });
+
+  } catch (error) {
+    console.error('Virtual account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while getting bank transfer account'
+    });
+  }
+});
+
+// Get the user's bank transfer account, if one was assigned
+router.get('/virtual-account', authMiddleware, async (req, res) => {
+  try {
+    const account = await getVirtualAccount(req.user.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'No bank transfer account yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      account
+    });
+
+  } catch (error) {
+    console.error('Get virtual account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Saved cards (kept from successful card payments)
+router.get('/cards', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cards: await cardVault.listCards(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get saved cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/cards/:id', authMiddleware, [
+  param('id').isInt().withMessage('Invalid card')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Reference is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Verify with Paystack
-    const verifyResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    // An auto top-up rule on this card goes with it
+    const deleted = await cardVault.deleteCard(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Card removed'
+    });
+  } catch (error) {
+    console.error('Delete saved card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    if (!verifyResponse.data.status) {
+// Fund the wallet from a saved card, without checkout
+router.post('/cards/:id/charge', authMiddleware, idempotency, [
+  param('id').isInt().withMessage('Invalid card'),
+  body('amount').isFloat({ min: 100 }).withMessage('Minimum funding amount is ₦100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Payment verification failed'
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await cardFunding.chargeSavedCard({
+      userId: req.user.id,
+      cardId: req.params.id,
+      amount: req.body.amount
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { funding } = result;
+    if (funding.status === 'success') {
+      res.json({
+        success: true,
+        message: 'Card charged and wallet funded successfully',
+        funding
+      });
+    } else if (funding.status === 'processing' || funding.status === 'pending') {
+      res.status(202).json({
+        success: false,
+        status: 'processing',
+        message: 'Payment is still processing, please check again shortly',
+        funding
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: funding.message || 'Card was declined',
+        funding
+      });
+    }
+  } catch (error) {
+    console.error('Saved card charge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during wallet funding'
+    });
+  }
+});
+
+// Auto top-up rule: charge a saved card when the balance drops below a threshold
+router.get('/auto-topup', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rule: await cardFunding.getRule(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get auto top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.put('/auto-topup', authMiddleware, [
+  body('card_id').isInt().withMessage('Card is required'),
+  body('threshold').isFloat({ gt: 0 }).withMessage('Threshold must be greater than 0'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Top-up amount must be greater than 0'),
+  body('daily_cap').optional().isFloat({ gt: 0 }).withMessage('Daily cap must be greater than 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const { status, reference: paystackRef, amount } = verifyResponse.data.data;
+    const result = await cardFunding.saveRule(req.user.id, {
+      cardId: req.body.card_id,
+      threshold: req.body.threshold,
+      amount: req.body.amount,
+      dailyCap: req.body.daily_cap
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
 
-    // Find the transaction
+    res.json({
+      success: true,
+      message: 'Auto top-up saved',
+      rule: result.rule
+    });
+  } catch (error) {
+    console.error('Save auto top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/auto-topup', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await cardFunding.deleteRule(req.user.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No auto top-up set up'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Auto top-up turned off'
+    });
+  } catch (error) {
+    console.error('Delete auto top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Verify payment (called after successful payment callback)
+router.post('/verify', authMiddleware, async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reference is required'
+      });
+    }
+
+    // Verify with the gateway that took the payment
     const [transactions] = await db.execute(
-      'SELECT id, user_id, amount FROM transactions WHERE reference = ? AND status = ?',
-      [reference, 'pending']
+      "SELECT provider FROM transactions WHERE reference = ? AND type = 'wallet_fund'",
+      [reference]
     );
 
     if (transactions.length === 0) {
@@ -192,38 +417,59 @@ router.post('/verify', authMiddleware, async (req, res) => {
       });
     }
 
-    const transaction = transactions[0];
+    const gateway = gateways.getGateway(transactions[0].provider);
+    if (!gateway) {
+      return res.status(503).json({
+        success: false,
+        message: 'Payment gateway is not available, please try again later'
+      });
+    }
+
+    const payment = await gateway.verify(reference);
 
-    if (status === 'success') {
-      // Update transaction status
-      await db.execute(
-        'UPDATE transactions SET status = ?, external_reference = ? WHERE id = ?',
-        ['success', paystackRef, transaction.id]
-      );
+    if (!payment.found) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed'
+      });
+    }
 
-      // Credit user wallet
-      await db.execute(
-        'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?',
-        [transaction.amount, transaction.user_id]
-      );
+    const result = await settleFunding({
+      gateway: gateway.name,
+      reference,
+      paymentStatus: payment.status,
+      amount: payment.amount,
+      externalReference: payment.externalReference,
+      card: payment.card
+    });
 
-      console.log(`Wallet funded: User ${transaction.user_id}, Amount: ${transaction.amount}`);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
 
+    if (result.outcome === 'success') {
       res.json({
         success: true,
-        message: 'Payment verified and wallet funded successfully'
+        message: result.alreadySettled
+          ? 'Payment already verified and wallet funded'
+          : 'Payment verified and wallet funded successfully'
+      });
+    } else if (result.outcome === 'processing') {
+      // Not final yet: the transaction stays open so it can be verified again
+      res.status(202).json({
+        success: false,
+        status: 'processing',
+        message: 'Payment is still processing, please check again shortly'
       });
     } else {
-      // Update transaction status based on Paystack status
-      const transactionStatus = status === 'abandoned' ? 'cancelled' : 'failed';
-      await db.execute(
-        'UPDATE transactions SET status = ?, external_reference = ? WHERE id = ?',
-        [transactionStatus, paystackRef, transaction.id]
-      );
-
       res.status(400).json({
         success: false,
-        message: `Payment ${status}`
+        message: result.amountMismatch
+          ? 'Amount paid does not match the payment, please contact support'
+          : `Payment ${result.alreadySettled ? result.outcome : payment.gatewayStatus}`
       });
     }
 
@@ -236,78 +482,91 @@ router.post('/verify', authMiddleware, async (req, res) => {
   }
 });
 
-// Webhook for payment verification (Paystack webhook) - kept as backup
-router.post('/webhook/paystack', async (req, res) => {
+// Gateway webhooks for payment verification - kept as backup to /verify.
+// Each gateway checks its own signature and maps its events onto payments and transfers;
+// a gateway that also pays out withdrawals reports payout outcomes here too.
+const gatewayWebhook = (name) => async (req, res) => {
   try {
-    const { event, data } = req.body;
+    const gateway = gateways.getGateway(name);
 
-    if (event === 'charge.success') {
-      const { reference, amount, status } = data;
-
-      // Find the transaction
-      const [transactions] = await db.execute(
-        'SELECT id, user_id, amount FROM transactions WHERE reference = ? AND status = ?',
-        [reference, 'pending']
-      );
-
-      if (transactions.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Transaction not found'
-        });
-      }
-
-      const transaction = transactions[0];
+    if (!gateway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gateway not enabled'
+      });
+    }
 
-      if (status === 'success') {
-        // Update transaction status
-        await db.execute(
-          'UPDATE transactions SET status = ?, external_reference = ? WHERE id = ?',
-          ['success', data.id, transaction.id]
-        );
+    if (!gateway.verifyWebhook(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
 
-        // Credit user wallet
-        await db.execute(
-          'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?',
-          [transaction.amount, transaction.user_id]
-        );
+    const notification = gateway.parseWebhook(req.body) || getPayoutProvider(name)?.parseWebhook(req.body);
+    let result = {};
+
+    if (notification?.kind === 'transfer') {
+      // Bank transfer into a user's virtual account
+      result = await settleBankTransfer({
+        gateway: name,
+        accountNumber: notification.accountNumber,
+        reference: notification.reference,
+        amount: notification.amount,
+        externalReference: notification.externalReference,
+        sender: notification.sender,
+        event: { id: notification.eventId, event: notification.event }
+      });
+    } else if (notification?.kind === 'payout') {
+      // Withdrawal transfer succeeded, failed or was reversed
+      result = await applyPayoutStatus({
+        reference: notification.reference,
+        status: notification.status,
+        transferCode: notification.transferCode,
+        event: { gateway: name, id: notification.eventId, event: notification.event }
+      });
+    } else if (notification?.kind === 'payment') {
+      // Gateways whose webhooks aren't signed confirm the payment with their API first
+      const payment = gateway.confirmPayment ? await gateway.confirmPayment(notification) : notification;
 
-        console.log(`Wallet funded: User ${transaction.user_id}, Amount: ${transaction.amount}`);
+      if (!payment) {
+        console.warn(`${name} webhook for ${notification.reference} not confirmed by the gateway, ignoring`);
       } else {
-        // Map Paystack statuses to transaction statuses
-        let transactionStatus;
-        switch (status) {
-          case 'abandoned':
-            transactionStatus = 'cancelled';
-            break;
-          case 'failed':
-          case 'reversed':
-            transactionStatus = 'failed';
-            break;
-          default:
-            transactionStatus = 'failed';
-        }
-
-        await db.execute(
-          'UPDATE transactions SET status = ?, external_reference = ? WHERE id = ?',
-          [transactionStatus, data.id, transaction.id]
-        );
+        result = await settleFunding({
+          gateway: name,
+          reference: payment.reference,
+          paymentStatus: payment.status,
+          amount: payment.amount,
+          externalReference: payment.externalReference,
+          card: payment.card,
+          event: { id: payment.eventId, event: payment.event }
+        });
       }
     }
 
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
     res.status(200).json({ success: true });
 
   } catch (error) {
-    console.error('Webhook error:', error);
+    console.error(`${name} webhook error:`, error);
     res.status(500).json({
       success: false,
       message: 'Webhook processing failed'
     });
   }
-});
+};
+
+router.post('/webhook/paystack', gatewayWebhook('paystack'));
+router.post('/webhook/flutterwave', gatewayWebhook('flutterwave'));
 
 // Process transaction (deduct from wallet)
-router.post('/transaction', authMiddleware, [
+router.post('/transaction', authMiddleware, idempotency, [
   body('type').isIn(['airtime', 'data', 'bill']).withMessage('Invalid transaction type'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
   body('details').isObject().withMessage('Transaction details are required')
@@ -325,70 +584,28 @@ router.post('/transaction', authMiddleware, [
     const { type, amount, details } = req.body;
     const userId = req.user.id;
 
-    // Check wallet balance
-    const [users] = await db.execute(
-      'SELECT wallet_balance FROM users WHERE id = ?',
-      [userId]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({
+    const result = await debitWallet({ userId, type, amount, details });
+    if (result.error) {
+      return res.status(result.status).json({
         success: false,
-        message: 'User not found'
-      });
-    }
-
-    const currentBalance = parseFloat(users[0].wallet_balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient wallet balance'
+        message: result.error
       });
     }
 
-    // Generate unique reference
-    const reference = `ZP_${type.toUpperCase()}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-
-    // Start transaction
-    const connection = await db.getConnection();
-    await connection.beginTransaction();
-
-    try {
-      // Deduct from wallet
-      await connection.execute(
-        'UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?',
-        [amount, userId]
-      );
-
-      // Create transaction record
-      const [result] = await connection.execute(
-        'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-        [userId, type, amount, reference, 'success', JSON.stringify(details)]
-      );
-
-      await connection.commit();
-
-      // Get the created transaction
-      const [newTransaction] = await db.execute(
-        'SELECT * FROM transactions WHERE id = ?',
-        [result.insertId]
-      );
-
-      res.json({
-        success: true,
-        message: 'Transaction processed successfully',
-        transaction: {
-          ...newTransaction[0],
-          details: JSON.parse(newTransaction[0].details)
-        }
-      });
+    // Get the created transaction
+    const [newTransaction] = await db.execute(
+      'SELECT * FROM transactions WHERE id = ?',
+      [result.transactionId]
+    );
 
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
-    }
+    res.json({
+      success: true,
+      message: 'Transaction processed successfully',
+      transaction: {
+        ...newTransaction[0],
+        details: JSON.parse(newTransaction[0].details)
+      }
+    });
 
   } catch (error) {
     console.error('Process transaction error:', error);
@@ -400,7 +617,7 @@ router.post('/transaction', authMiddleware, [
 });
 
 // Transfer funds to another user via email
-router.post('/transfer', authMiddleware, [
+router.post('/transfer', authMiddleware, idempotency, [
   body('recipient_email').isEmail().withMessage('Valid recipient email is required'),
   body('amount').isFloat({ min: 1 }).withMessage('Transfer amount must be greater than 0')
 ], async (req, res) => {
@@ -445,78 +662,28 @@ router.post('/transfer', authMiddleware, [
 
     const recipient = recipients[0];
 
-    // Check sender's balance
-    const [senderBalance] = await db.execute(
-      'SELECT wallet_balance FROM users WHERE id = ?',
-      [senderId]
-    );
+    const result = await transferFunds({
+      sender: { id: senderId, email: sender[0].email, full_name: req.user.full_name },
+      recipient: { id: recipient.id, email: recipient_email, full_name: recipient.full_name },
+      amount
+    });
 
-    const currentBalance = parseFloat(senderBalance[0].wallet_balance);
-    if (currentBalance < amount) {
-      return res.status(400).json({
+    if (result.error) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Insufficient wallet balance'
+        message: result.error
       });
     }
 
-    // Generate unique reference
-    const reference = `ZP_P2P_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-
-    // Start transaction
-    const connection = await db.getConnection();
-    await connection.beginTransaction();
-
-    try {
-      // Deduct from sender
-      await connection.execute(
-        'UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?',
-        [amount, senderId]
-      );
-
-      // Credit to recipient
-      await connection.execute(
-        'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?',
-        [amount, recipient.id]
-      );
-
-      // Create transaction record for sender
-      await connection.execute(
-        'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-        [senderId, 'p2p_transfer', amount, `${reference}_DEBIT`, 'success', JSON.stringify({
-          recipient_email: recipient_email,
-          recipient_name: recipient.full_name,
-          transfer_type: 'debit'
-        })]
-      );
-
-      // Create transaction record for recipient
-      await connection.execute(
-        'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
-        [recipient.id, 'p2p_transfer', amount, `${reference}_CREDIT`, 'success', JSON.stringify({
-          sender_email: sender[0].email,
-          sender_name: req.user.full_name || 'Unknown',
-          transfer_type: 'credit'
-        })]
-      );
-
-      await connection.commit();
-
-      res.json({
-        success: true,
-        message: 'Transfer completed successfully',
-        data: {
-          recipient_name: recipient.full_name,
-          amount: amount,
-          reference: `${reference}_DEBIT`
-        }
-      });
-
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
-    }
+    res.json({
+      success: true,
+      message: 'Transfer completed successfully',
+      data: {
+        recipient_name: recipient.full_name,
+        amount: amount,
+        reference: result.reference
+      }
+    });
 
   } catch (error) {
     console.error('Transfer error:', error);
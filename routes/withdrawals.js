@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const withdrawals = require('../services/withdrawals');
+
+const router = express.Router();
+
+const accountValidators = [
+  body('account_number').matches(/^\d{10}$/).withMessage('Account number must be 10 digits'),
+  body('bank_code').trim().notEmpty().withMessage('Bank is required')
+];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Banks that can receive withdrawals
+router.get('/banks', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      banks: await withdrawals.listBanks()
+    });
+  } catch (error) {
+    console.error('Get banks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not load banks'
+    });
+  }
+});
+
+// Look up the account name for an account number before saving it
+router.post('/resolve-account', authMiddleware, accountValidators, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await withdrawals.resolveAccount({
+      accountNumber: req.body.account_number,
+      bankCode: req.body.bank_code
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      account: result
+    });
+  } catch (error) {
+    console.error('Resolve account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not resolve the account'
+    });
+  }
+});
+
+// Saved bank accounts
+router.get('/accounts', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      accounts: await withdrawals.listBankAccounts(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get bank accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Save a bank account; the account name comes from the bank, not the user
+router.post('/accounts', authMiddleware, accountValidators, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await withdrawals.saveBankAccount(req.user.id, {
+      accountNumber: req.body.account_number,
+      bankCode: req.body.bank_code
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Bank account saved',
+      account: result.account
+    });
+  } catch (error) {
+    console.error('Save bank account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not save the bank account'
+    });
+  }
+});
+
+router.delete('/accounts/:id', authMiddleware, [
+  param('id').isInt().withMessage('Invalid bank account')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const deleted = await withdrawals.deleteBankAccount(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bank account removed'
+    });
+  } catch (error) {
+    console.error('Delete bank account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fee, per-withdrawal bounds and what's left of today's limit
+router.get('/limits', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      limits: await withdrawals.getLimits(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get withdrawal limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Withdraw to a saved bank account. The wallet is debited the amount plus the fee.
+router.post('/', authMiddleware, idempotency, [
+  body('bank_account_id').isInt().withMessage('Bank account is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await withdrawals.withdraw({
+      userId: req.user.id,
+      bankAccountId: req.body.bank_account_id,
+      amount: req.body.amount
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { withdrawal } = result;
+    if (withdrawal.status === 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawal failed and your wallet has been refunded',
+        withdrawal
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Withdrawal is on its way to your bank account',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during withdrawal'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,22 +10,31 @@ const dbConfig = {
     ssl: false
 };
 
-const updateEnum = async () => {
+const addPricingColumns = async () => {
     let connection;
     try {
         console.log('Connecting to database...');
         connection = await mysql.createConnection(dbConfig);
         console.log('✅ Connected to database');
 
-        console.log('Updating transactions table type enum...');
+        const [columns] = await connection.execute(
+            "SHOW COLUMNS FROM transactions LIKE 'provider_cost'"
+        );
+
+        if (columns.length > 0) {
+            console.log('transactions pricing columns already exist, nothing to do');
+            return;
+        }
+
+        console.log('Adding provider_cost and margin columns to transactions table...');
 
-        // Alter the table to include 'p2p_transfer' in the enum
         await connection.execute(`
       ALTER TABLE transactions 
-      MODIFY COLUMN type ENUM('airtime', 'data', 'bill', 'wallet_fund', 'withdrawal', 'p2p_transfer') NOT NULL
+      ADD COLUMN provider_cost DECIMAL(10,2) AFTER amount,
+      ADD COLUMN margin DECIMAL(10,2) AFTER provider_cost
     `);
 
-        console.log('✅ Successfully updated transactions type enum to include p2p_transfer');
+        console.log('✅ Successfully added transactions.provider_cost and transactions.margin');
 
     } catch (error) {
         console.error('❌ Migration failed:', error.message);
@@ -37,4 +46,4 @@ const updateEnum = async () => {
     }
 };
 
-updateEnum();
+addPricingColumns();
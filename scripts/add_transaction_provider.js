@@ -0,0 +1,52 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: 3306,
+    ssl: false
+};
+
+const addProviderColumn = async () => {
+    let connection;
+    try {
+        console.log('Connecting to database...');
+        connection = await mysql.createConnection(dbConfig);
+        console.log('✅ Connected to database');
+
+        const [columns] = await connection.execute(
+            "SHOW COLUMNS FROM transactions LIKE 'provider'"
+        );
+
+        if (columns.length > 0) {
+            console.log('transactions.provider already exists, nothing to do');
+            return;
+        }
+
+        console.log('Adding provider column to transactions table...');
+
+        // Existing purchases all went through VTpass
+        await connection.execute(`
+      ALTER TABLE transactions 
+      ADD COLUMN provider VARCHAR(50) AFTER external_reference
+    `);
+        await connection.execute(
+            "UPDATE transactions SET provider = 'vtpass' WHERE type IN ('airtime', 'data', 'bill')"
+        );
+
+        console.log('✅ Successfully added transactions.provider');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        if (connection) {
+            await connection.end();
+            console.log('Connection closed');
+        }
+    }
+};
+
+addProviderColumn();
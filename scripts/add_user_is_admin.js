@@ -0,0 +1,53 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: 3306,
+    ssl: false
+};
+
+// Usage: node scripts/add_user_is_admin.js [admin@email.com]
+const addAdminColumn = async () => {
+    let connection;
+    try {
+        console.log('Connecting to database...');
+        connection = await mysql.createConnection(dbConfig);
+        console.log('✅ Connected to database');
+
+        const [columns] = await connection.execute(
+            "SHOW COLUMNS FROM users LIKE 'is_admin'"
+        );
+
+        if (columns.length === 0) {
+            console.log('Adding is_admin column to users table...');
+            await connection.execute(`
+      ALTER TABLE users 
+      ADD COLUMN is_admin BOOLEAN DEFAULT FALSE AFTER is_active
+    `);
+            console.log('✅ Successfully added users.is_admin');
+        }
+
+        const email = process.argv[2];
+        if (email) {
+            const [result] = await connection.execute(
+                'UPDATE users SET is_admin = TRUE WHERE email = ?',
+                [email]
+            );
+            console.log(result.affectedRows > 0 ? `✅ ${email} is now an admin` : `No user found with email ${email}`);
+        }
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        if (connection) {
+            await connection.end();
+            console.log('Connection closed');
+        }
+    }
+};
+
+addAdminColumn();
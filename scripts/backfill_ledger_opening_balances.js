@@ -0,0 +1,63 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: 3306,
+    ssl: false
+};
+
+// Posts an opening-balance journal for every wallet whose balance isn't explained by the
+// ledger yet, so balances that existed before the ledger reconcile. Run once after the
+// ledger tables are created, before traffic reaches the new code.
+const backfillOpeningBalances = async () => {
+    let connection;
+    try {
+        console.log('Connecting to database...');
+        connection = await mysql.createConnection(dbConfig);
+        console.log('✅ Connected to database');
+
+        const [users] = await connection.execute(`
+      SELECT u.id, u.wallet_balance, COALESCE(SUM(e.amount), 0) AS ledger_balance
+      FROM users u
+      LEFT JOIN ledger_entries e ON e.user_id = u.id
+      GROUP BY u.id, u.wallet_balance
+      HAVING u.wallet_balance <> ledger_balance
+    `);
+
+        console.log(`${users.length} wallets need an opening balance`);
+
+        for (const user of users) {
+            const difference = Math.round((parseFloat(user.wallet_balance) - parseFloat(user.ledger_balance)) * 100) / 100;
+
+            await connection.beginTransaction();
+            const [journal] = await connection.execute(
+                'INSERT INTO ledger_journals (reference, kind, description) VALUES (?, ?, ?)',
+                [`OPENING_${user.id}`, 'opening_balance', 'Wallet balance before the ledger']
+            );
+            await connection.execute(
+                'INSERT INTO ledger_entries (journal_id, account, user_id, amount) VALUES (?, ?, ?, ?), (?, ?, NULL, ?)',
+                [journal.insertId, `user:${user.id}`, user.id, difference, journal.insertId, 'system:opening_balances', -difference]
+            );
+            await connection.commit();
+
+            console.log(`User ${user.id}: opening balance ${difference}`);
+        }
+
+        console.log('✅ Successfully backfilled ledger opening balances');
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        if (connection) {
+            await connection.end();
+            console.log('Connection closed');
+        }
+    }
+};
+
+backfillOpeningBalances();
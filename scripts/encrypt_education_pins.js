@@ -0,0 +1,64 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { isSealed, sealSecret } = require('../services/vaultCrypto');
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: 3306,
+    ssl: false
+};
+
+// Encrypts education PINs stored before they were sealed with CARD_VAULT_KEY, and removes the
+// plain-text copies older purchases left in transaction details and stored Idempotency-Key responses.
+// Safe to run more than once: rows that are already encrypted are skipped.
+const encryptEducationPins = async () => {
+    let connection;
+    try {
+        if (!sealSecret('check')) {
+            throw new Error('CARD_VAULT_KEY must be set (32 bytes as hex)');
+        }
+
+        console.log('Connecting to database...');
+        connection = await mysql.createConnection(dbConfig);
+        console.log('✅ Connected to database');
+
+        const [pins] = await connection.execute('SELECT id, pin FROM education_pins');
+        const plain = pins.filter((row) => !isSealed(row.pin));
+
+        console.log(`${plain.length} of ${pins.length} PINs need encrypting`);
+
+        for (const row of plain) {
+            await connection.execute(
+                'UPDATE education_pins SET pin = ? WHERE id = ?',
+                [sealSecret(row.pin), row.id]
+            );
+        }
+
+        const [details] = await connection.execute(
+            `UPDATE transactions SET details = JSON_REMOVE(details, '$.pins')
+             WHERE JSON_CONTAINS_PATH(details, 'one', '$.pins')`
+        );
+        console.log(`Removed PINs from ${details.affectedRows} transactions`);
+
+        const [responses] = await connection.execute(
+            `DELETE FROM idempotency_keys
+             WHERE path = '/api/vtu/education' AND JSON_CONTAINS_PATH(response_body, 'one', '$.pins')`
+        );
+        console.log(`Removed ${responses.affectedRows} stored education responses`);
+
+        console.log('✅ Successfully encrypted education PINs');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        if (connection) {
+            await connection.end();
+            console.log('Connection closed');
+        }
+    }
+};
+
+encryptEducationPins();
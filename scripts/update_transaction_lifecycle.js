@@ -0,0 +1,62 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: 3306,
+    ssl: false
+};
+
+// The one migration for the transactions status and type enums; it replaces the older
+// update_transaction_status_enum.js and update_transaction_enum.js, whose shorter enums
+// would truncate the lifecycle statuses and refund transactions.
+const updateLifecycle = async () => {
+    let connection;
+    try {
+        console.log('Connecting to database...');
+        connection = await mysql.createConnection(dbConfig);
+        console.log('✅ Connected to database');
+
+        console.log('Updating transactions status and type enums...');
+
+        // processing, refunded and cancelled statuses; refund transactions
+        await connection.execute(`
+      ALTER TABLE transactions 
+      MODIFY COLUMN status ENUM('pending', 'processing', 'success', 'failed', 'reversed', 'refunded', 'cancelled') DEFAULT 'pending'
+    `);
+        await connection.execute(`
+      ALTER TABLE transactions 
+      MODIFY COLUMN type ENUM('airtime', 'data', 'bill', 'wallet_fund', 'withdrawal', 'p2p_transfer', 'refund') NOT NULL
+    `);
+
+        const [columns] = await connection.execute(
+            "SHOW COLUMNS FROM transactions LIKE 'original_reference'"
+        );
+
+        if (columns.length === 0) {
+            console.log('Adding original_reference column to transactions table...');
+
+            // Links a refund to the purchase it refunds
+            await connection.execute(`
+      ALTER TABLE transactions 
+      ADD COLUMN original_reference VARCHAR(100) AFTER reference,
+      ADD INDEX idx_transactions_original_reference (original_reference)
+    `);
+        }
+
+        console.log('✅ Successfully updated transactions for the refund lifecycle');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        if (connection) {
+            await connection.end();
+            console.log('Connection closed');
+        }
+    }
+};
+
+updateLifecycle();
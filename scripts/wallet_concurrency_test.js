@@ -0,0 +1,183 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Concurrency harness for wallet debits. Creates two test users, funds one, fires parallel
+// debits at it (direct debits, purchase holds, transfers both ways, then all of them mixed)
+// and checks after every round that the wallet never went below zero, that exactly the
+// affordable number of debits went through, and that wallet_balance still equals the ledger.
+//
+// It runs in a throwaway schema, <DB_NAME>_concurrency_<timestamp>, created with the usual
+// tables and dropped afterwards, so the real database's ledger is never touched. The DB_*
+// user needs CREATE and DROP on that schema. Refuses to run with NODE_ENV=production.
+//
+//   npm run test:concurrency -- [parallel requests, default 25]
+const PARALLEL = parseInt(process.argv[2]) || 25;
+const START_BALANCE = 1000;
+const DEBIT_AMOUNT = 300;
+
+const failures = [];
+
+// Loaded once the throwaway schema is in place, since config/database connects on require
+let db;
+let ledger;
+let placeHold;
+let debitWallet;
+let transferFunds;
+
+const check = (condition, message) => {
+    if (!condition) failures.push(message);
+    console.log(`${condition ? '✅' : '❌'} ${message}`);
+};
+
+const createUser = async (label) => {
+    const stamp = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const [result] = await db.execute(
+        'INSERT INTO users (full_name, email, password) VALUES (?, ?, ?)',
+        [`Concurrency Test ${label}`, `concurrency-${label}-${stamp}@example.test`, 'not-a-login']
+    );
+    const [users] = await db.execute('SELECT id, email, full_name FROM users WHERE id = ?', [result.insertId]);
+    return users[0];
+};
+
+const balanceOf = async (userId) => {
+    const [users] = await db.execute('SELECT wallet_balance FROM users WHERE id = ?', [userId]);
+    return parseFloat(users[0].wallet_balance);
+};
+
+// Top the wallet up (or down) to exactly `amount`
+const setBalance = async (userId, amount) => {
+    const difference = Math.round((amount - await balanceOf(userId)) * 100) / 100;
+    await ledger.post({
+        reference: `CONCURRENCY_TEST_${userId}_${Date.now()}`,
+        kind: 'test_funding',
+        description: 'Concurrency harness funding',
+        entries: ledger.move(ledger.ACCOUNTS.FUNDING, ledger.userAccount(userId), difference),
+        allowOverdraft: true
+    });
+};
+
+const succeeded = (result) => result.success === true || (!result.error && result.success !== false);
+
+const runRound = async (name, user, attempts) => {
+    await setBalance(user.id, START_BALANCE);
+
+    const results = await Promise.allSettled(attempts.map((attempt) => attempt()));
+    const errors = results.filter((result) => result.status === 'rejected');
+    const debits = results.filter((result) => result.status === 'fulfilled' && result.value.debit && succeeded(result.value.result)).length;
+
+    const balance = await balanceOf(user.id);
+    const ledgerBalance = await ledger.getBalance(ledger.userAccount(user.id));
+    const affordable = Math.floor(START_BALANCE / DEBIT_AMOUNT);
+
+    console.log(`\n${name}: ${attempts.length} requests, ${debits} debits went through, balance ${balance}`);
+    errors.forEach((error) => console.log(`   error: ${error.reason.message}`));
+    check(errors.length === 0, `${name}: no request crashed`);
+    check(balance >= 0, `${name}: balance never below zero`);
+    check(debits === affordable, `${name}: exactly ${affordable} debits of ${DEBIT_AMOUNT} from ${START_BALANCE}`);
+    check(ledgerBalance === balance, `${name}: wallet_balance matches the ledger (${ledgerBalance})`);
+};
+
+const adminConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    port: 3306,
+    ssl: false
+};
+
+const createSchema = async (admin) => {
+    const schema = `${process.env.DB_NAME || 'zippy_pay'}_concurrency_${Date.now()}`;
+    await admin.query(`CREATE DATABASE \`${schema}\``);
+    process.env.DB_NAME = schema;
+
+    db = require('../config/database');
+    await db.ready;
+    ledger = require('../services/ledger');
+    ({ placeHold } = require('../services/walletHolds'));
+    ({ debitWallet, transferFunds } = require('../services/walletDebits'));
+
+    console.log(`Running in throwaway schema ${schema}`);
+    return schema;
+};
+
+const runChecks = async () => {
+    const payer = await createUser('payer');
+    const other = await createUser('other');
+    console.log(`Test users: ${payer.id} (payer), ${other.id} (other); ${PARALLEL} parallel requests per round`);
+
+    const directDebit = () => async () => ({
+        debit: true,
+        result: await debitWallet({ userId: payer.id, type: 'airtime', amount: DEBIT_AMOUNT, details: { test: 'concurrency' } })
+    });
+    const purchaseHold = (i) => async () => ({
+        debit: true,
+        result: await placeHold({
+            userId: payer.id,
+            type: 'data',
+            amount: DEBIT_AMOUNT,
+            reference: `CONCURRENCY_${payer.id}_${Date.now()}_${i}`,
+            details: { test: 'concurrency' }
+        })
+    });
+    const transferOut = () => async () => ({
+        debit: true,
+        result: await transferFunds({ sender: payer, recipient: other, amount: DEBIT_AMOUNT })
+    });
+    // Transfers the other way take locks in the opposite order; they must neither deadlock nor count as debits
+    const transferIn = () => async () => ({
+        debit: false,
+        result: await transferFunds({ sender: other, recipient: payer, amount: 0.01 })
+    });
+
+    const times = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+
+    await runRound('Direct debits', payer, times(PARALLEL, directDebit));
+    await runRound('Purchase holds', payer, times(PARALLEL, purchaseHold));
+
+    await setBalance(other.id, PARALLEL);
+    await runRound('Transfers', payer, [...times(PARALLEL, transferOut), ...times(PARALLEL, transferIn)]);
+
+    await setBalance(other.id, PARALLEL);
+    await runRound('Mixed', payer, [
+        ...times(PARALLEL, directDebit),
+        ...times(PARALLEL, (i) => purchaseHold(PARALLEL + i)),
+        ...times(PARALLEL, transferOut),
+        ...times(PARALLEL, transferIn)
+    ]);
+
+    const otherBalance = await balanceOf(other.id);
+    check(otherBalance >= 0, `Other wallet never below zero (${otherBalance})`);
+};
+
+const run = async () => {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('Refusing to run the concurrency harness against production');
+        process.exit(1);
+    }
+
+    const admin = await mysql.createConnection(adminConfig);
+    let schema;
+    let exitCode = 1;
+
+    try {
+        schema = await createSchema(admin);
+        await runChecks();
+
+        console.log(failures.length === 0 ? '\n✅ All concurrency checks passed' : `\n❌ ${failures.length} checks failed`);
+        exitCode = failures.length === 0 ? 0 : 1;
+    } catch (error) {
+        console.error('❌ Concurrency harness failed:', error);
+    } finally {
+        // The schema goes with everything in it: users, transactions and ledger journals
+        if (db) await db.end();
+        if (schema) await admin.query(`DROP DATABASE \`${schema}\``);
+        await admin.end();
+    }
+
+    process.exit(exitCode);
+};
+
+run().catch((error) => {
+    console.error('❌ Concurrency harness failed:', error);
+    process.exit(1);
+});
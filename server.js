@@ -7,11 +7,24 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const walletRoutes = require('./routes/wallet');
+const withdrawalRoutes = require('./routes/withdrawals');
 const vtuRoutes = require('./routes/vtu');
 const transactionRoutes = require('./routes/transactions');
 const referralRoutes = require('./routes/referral');
 const phoneBeneficiaryRoutes = require('./routes/phoneBeneficiaries');
 const emailBeneficiaryRoutes = require('./routes/emailBeneficiaries');
+const adminRoutes = require('./routes/admin');
+const sandboxRoutes = require('./routes/sandbox');
+const bulkRoutes = require('./routes/bulk');
+const scheduleRoutes = require('./routes/schedules');
+const tokenRoutes = require('./routes/tokens');
+const { startReconciliationWorker } = require('./services/reconciliation');
+const { startIntegrityWorker } = require('./services/walletIntegrity');
+const { startCatalogSync } = require('./services/catalog');
+const { resumeBulkBatches } = require('./services/bulkPurchase');
+const { startScheduleWorker } = require('./services/schedules');
+const { startAutoTopup } = require('./services/cardFunding');
+const sandbox = require('./config/sandbox');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,22 +52,39 @@ app.use(cors({
   origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for payment webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/wallet/withdrawals', withdrawalRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/vtu/bulk', bulkRoutes);
+app.use('/api/vtu/schedules', scheduleRoutes);
+app.use('/api/vtu/tokens', tokenRoutes);
 app.use('/api/vtu', vtuRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/referral', referralRoutes);
 app.use('/api/beneficiaries/phone', phoneBeneficiaryRoutes);
 app.use('/api/beneficiaries/email', emailBeneficiaryRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Simulated provider pages, only mounted in sandbox mode
+if (sandbox.enabled) {
+  app.use('/api/sandbox', sandboxRoutes);
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -90,4 +120,35 @@ app.listen(PORT, () => {
   console.log(`🚀 Zippy Pay API server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+  if (sandbox.enabled) {
+    console.log('🧪 Sandbox mode: VTpass and Paystack are simulated');
+  }
+
+  // Settle pending VTU purchases in the background
+  if (process.env.RECONCILIATION_ENABLED !== 'false') {
+    startReconciliationWorker();
+  }
+
+  // Keep the VTU catalog tables in sync with the provider
+  if (process.env.CATALOG_SYNC_ENABLED !== 'false') {
+    startCatalogSync();
+  }
+
+  // Run due scheduled and recurring purchases
+  if (process.env.SCHEDULES_ENABLED !== 'false') {
+    startScheduleWorker();
+  }
+
+  // Top wallets up from saved cards when a debit takes them below the user's threshold
+  if (process.env.AUTO_TOPUP_ENABLED !== 'false') {
+    startAutoTopup();
+  }
+
+  // Compare wallet balances with transaction history and propose corrections
+  if (process.env.WALLET_INTEGRITY_ENABLED !== 'false') {
+    startIntegrityWorker();
+  }
+
+  // Carry on with bulk purchase batches interrupted by a restart, once the tables exist
+  setTimeout(resumeBulkBatches, 10 * 1000).unref();
 });
\ No newline at end of file
@@ -0,0 +1,256 @@
+const vtuProviders = require('./providers');
+const discos = require('./discos');
+const tokenVault = require('./tokenVault');
+const { normalizePhone } = require('./numberingPlan');
+const verificationSessions = require('./verificationSessions');
+
+// Request schemas for bill payments, one entry per serviceID. The bills route, schedules
+// and payBill read everything biller-specific from here, so a new biller is a new entry.
+//
+//   name, category
+//   billersCode        { label, pattern } - pattern may depend on the request (meter type)
+//   fields             phone / variation_code / subscription_type: 'required', 'optional' or 'none',
+//                      or a function of the request returning one of those
+//   variations         allowed variation codes, when the biller has a fixed set
+//   subscriptionTypes  allowed subscription_type values
+//   amount             { min, max } face value limits
+//   verify             (input) => true when the customer must be verified before purchase
+//                      (a verification session from /verify-smartcard or /verify-meter)
+//   check              (input, verification) => { error } for rules that need the verification
+//   payload            (input) => provider fields beyond request_id/serviceID/billersCode/amount
+//   receipt            async ({ userId, reference, input, pricing, customerName, responses }) =>
+//                      fields added to the response and the transaction details
+
+const transactionReceipt = (responses) => {
+  const transaction = responses.find((response) => response?.content?.transactions)?.content.transactions;
+  if (!transaction) return null;
+  return {
+    product_name: transaction.product_name || null,
+    unique_element: transaction.unique_element || null,
+    transaction_id: transaction.transactionId || null
+  };
+};
+
+const defaultReceipt = async ({ responses, customerName }) => ({
+  customer_name: customerName,
+  receipt: transactionReceipt(responses)
+});
+
+const tvBiller = (name) => ({
+  name,
+  category: 'tv',
+  billersCode: { label: 'Smartcard number', pattern: /^\d{10,11}$/ },
+  fields: {
+    phone: 'required',
+    // Renewals re-buy the current bouquet; changing bouquet needs the new plan
+    variation_code: (input) => (input.subscription_type === 'renew' ? 'optional' : 'required'),
+    subscription_type: 'optional'
+  },
+  subscriptionTypes: ['change', 'renew'],
+  amount: { min: 100 },
+  // Smartcards are verified first so the customer sees whose card they are paying for
+  verify: () => true,
+  // A renewal pays exactly what the verification quoted for the current bouquet
+  check: (input, verification, session) => {
+    if (input.subscription_type !== 'renew') return {};
+
+    const renewal = session ? session.renewal_amount : verificationSessions.renewalAmount(verification);
+    if (renewal === null) {
+      return { error: 'The renewal amount for this smartcard is not available, choose a bouquet instead' };
+    }
+    if (Math.abs(parseFloat(input.amount) - renewal) >= 0.01) {
+      return { error: `The renewal amount for this smartcard is ₦${renewal}`, renewal_amount: renewal };
+    }
+    return {};
+  },
+  payload: (input) => ({
+    phone: input.phone,
+    ...(input.variation_code && { variation_code: input.variation_code }),
+    ...(input.subscription_type && { subscription_type: input.subscription_type })
+  }),
+  receipt: defaultReceipt
+});
+
+const STATIC_BILLERS = {
+  dstv: tvBiller('DStv'),
+  gotv: tvBiller('GOtv'),
+  startimes: {
+    ...tvBiller('StarTimes'),
+    fields: { phone: 'required', variation_code: 'required', subscription_type: 'none' },
+    subscriptionTypes: []
+  },
+  showmax: {
+    name: 'Showmax',
+    category: 'tv',
+    // Showmax subscriptions are tied to a phone number
+    billersCode: { label: 'Phone number', pattern: (input) => normalizePhone(input.billersCode) !== null },
+    fields: { phone: 'none', variation_code: 'required', subscription_type: 'none' },
+    amount: { min: 100 },
+    verify: () => false,
+    payload: (input) => ({ phone: input.billersCode, variation_code: input.variation_code }),
+    receipt: defaultReceipt
+  }
+};
+
+// Electricity entries are built per disco from the catalog and config/discos rules
+const electricityBiller = (disco) => {
+  const rules = discos.resolveRules(disco.serviceID);
+
+  return {
+    name: disco.name,
+    category: 'electricity',
+    billersCode: { label: 'Meter number', pattern: (input) => discos.checkMeter(disco, input.billersCode, input.variation_code) === null },
+    fields: { phone: 'required', variation_code: 'required', subscription_type: 'none' },
+    variations: discos.METER_TYPES,
+    amount: { min: disco.min_amount, max: disco.max_amount },
+    verify: (input) => rules.verifyBeforePurchase.includes(input.variation_code),
+    // Some meters carry a higher minimum (arrears, account type) than the disco's
+    check: (input, verification) => {
+      const minAmount = discos.verificationMinimum(verification);
+      if (parseFloat(input.amount) < minAmount) {
+        return { error: `The minimum amount for this meter is ₦${minAmount}`, min_amount: minAmount };
+      }
+      return {};
+    },
+    payload: (input) => ({ phone: input.phone, variation_code: input.variation_code }),
+    // Prepaid tokens go into the token vault
+    receipt: async ({ userId, reference, input, pricing, customerName, responses }) => {
+      if (input.variation_code !== 'prepaid') {
+        return { token: null, ...(await defaultReceipt({ responses, customerName })) };
+      }
+
+      const entry = await tokenVault.saveToken({
+        userId,
+        reference,
+        disco: disco.serviceID,
+        meterNumber: input.billersCode,
+        amount: pricing.userPrice,
+        customerName,
+        responses
+      });
+      return { token: entry.token, units: entry.units, customer_name: entry.customer_name, receipt: transactionReceipt(responses) };
+    }
+  };
+};
+
+const getBiller = async (serviceID) => {
+  if (STATIC_BILLERS[serviceID]) return { serviceID, ...STATIC_BILLERS[serviceID] };
+
+  const disco = await discos.findDisco(serviceID);
+  return disco ? { serviceID, ...electricityBiller(disco) } : null;
+};
+
+const fieldRule = (biller, field, input) => {
+  const rule = biller.fields[field] || 'none';
+  return typeof rule === 'function' ? rule(input) : rule;
+};
+
+// Merchant-verify a customer number. Returns { customerName, verification } or { error, details }.
+const verifyCustomer = async ({ serviceID, billersCode, type }) => {
+  const verification = await vtuProviders.verifyMerchant({ serviceID, billersCode, ...(type && { type }) });
+
+  if (verification.code && verification.code !== "000") {
+    return {
+      error: verification.response_description || verification.content?.error || "Verification failed",
+      details: verification
+    };
+  }
+
+  const customerName = verification.content?.Customer_Name || verification.Customer_Name;
+  if (!customerName || verification.content?.WrongBillersCode) {
+    return {
+      error: verification.content?.error || "Verification failed. Please check the customer number.",
+      details: verification
+    };
+  }
+
+  return { customerName, verification };
+};
+
+// Validate a bill request against its biller's schema, then confirm the customer for billers
+// that verify first. `verification` is how: 'session' needs the request's verification_id
+// from the verify endpoints, 'provider' verifies with the provider now (purchases the server
+// starts itself, like schedules) and false skips it (shape checks only).
+// Returns { biller, input, customerName, verification } or { errors } in express-validator's
+// { path, msg } shape, with hints such as min_amount alongside.
+const validateBill = async (request, { userId = null, verification: method = 'session' } = {}) => {
+  const biller = await getBiller(request.serviceID);
+  if (!biller) {
+    return { errors: [{ path: 'serviceID', msg: 'This biller is not supported' }] };
+  }
+
+  const input = { serviceID: biller.serviceID, billersCode: request.billersCode ? String(request.billersCode).trim() : '', amount: request.amount };
+  const errors = [];
+
+  // Fields the biller doesn't take are dropped
+  for (const field of ['phone', 'variation_code', 'subscription_type']) {
+    const rule = fieldRule(biller, field, request);
+    if (rule === 'none') continue;
+    if (request[field]) {
+      input[field] = request[field];
+    } else if (rule === 'required') {
+      errors.push({ path: field, msg: `${field} is required for ${biller.name}` });
+    }
+  }
+
+  const { label, pattern } = biller.billersCode;
+  if (!input.billersCode) {
+    errors.push({ path: 'billersCode', msg: `${label} is required` });
+  } else if (pattern && !(typeof pattern === 'function' ? pattern(input) : pattern.test(input.billersCode))) {
+    errors.push({ path: 'billersCode', msg: `Invalid ${label.toLowerCase()} for ${biller.name}` });
+  }
+
+  if (input.phone && normalizePhone(input.phone) === null) {
+    errors.push({ path: 'phone', msg: 'Enter a valid Nigerian phone number' });
+  }
+  if (input.subscription_type && !(biller.subscriptionTypes || []).includes(input.subscription_type)) {
+    errors.push({ path: 'subscription_type', msg: `subscription_type must be one of ${(biller.subscriptionTypes || []).join(', ')}` });
+  }
+  if (input.variation_code && biller.variations && !biller.variations.includes(input.variation_code)) {
+    errors.push({ path: 'variation_code', msg: `variation_code must be one of ${biller.variations.join(', ')}` });
+  }
+
+  const amount = parseFloat(input.amount);
+  if (!(amount > 0)) {
+    errors.push({ path: 'amount', msg: 'Amount is required' });
+  } else if (biller.amount?.min && amount < biller.amount.min) {
+    errors.push({ path: 'amount', msg: `The minimum amount for ${biller.name} is ₦${biller.amount.min}`, min_amount: biller.amount.min });
+  } else if (biller.amount?.max && amount > biller.amount.max) {
+    errors.push({ path: 'amount', msg: `The maximum amount for ${biller.name} is ₦${biller.amount.max}`, max_amount: biller.amount.max });
+  }
+
+  if (errors.length > 0) return { biller, errors };
+  if (!method) return { biller, input, customerName: null, verification: null };
+
+  let verification = null;
+  let customerName = null;
+  let session = null;
+
+  if (biller.verify(input)) {
+    const target = { serviceID: biller.serviceID, billersCode: input.billersCode, type: input.variation_code };
+    const verified = method === 'session'
+      ? await verificationSessions.useSession({ id: request.verification_id, userId, ...target })
+      : await verifyCustomer(target);
+    if (verified.error) {
+      return { biller, errors: [{ path: method === 'session' ? 'verification_id' : 'billersCode', msg: verified.error }] };
+    }
+    ({ verification, customerName, session = null } = verified);
+    if (method === 'session') input.verification_id = request.verification_id;
+  }
+
+  if (biller.check) {
+    const checked = biller.check(input, verification, session);
+    if (checked.error) {
+      const { error, ...extra } = checked;
+      return { biller, errors: [{ path: 'amount', msg: error, ...extra }] };
+    }
+  }
+
+  return { biller, input, customerName, verification };
+};
+
+module.exports = {
+  getBiller,
+  validateBill,
+  verifyCustomer
+};
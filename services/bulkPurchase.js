@@ -0,0 +1,410 @@
+const db = require('../config/database');
+const pricingEngine = require('./pricing');
+const generateRequestId = require('./requestId');
+const { AIRTIME_SERVICES, DATA_SERVICES, purchaseAirtime, purchaseData } = require('./vtuPurchase');
+const { resolvePurchaseNetwork } = require('./numberingPlan');
+const ledger = require('./ledger');
+const { emitDebited } = require('./walletEvents');
+
+// Bulk airtime/data purchases. A batch is validated and priced up front, its total is
+// debited from the wallet into a reservation on the batch, and the rows are then bought
+// one by one in the background. Each row becomes a normal VTU transaction whose hold is
+// drawn from the reservation; whatever is left over when the batch finishes is refunded.
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS) || 500;
+
+const queue = [];
+let draining = false;
+
+// ---- Parsing ----
+
+// Minimal CSV reader: header row, comma separated, double-quoted fields with "" escapes
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records.filter((line) => line.some((value) => value.trim() !== ''));
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  return lines.map((line) => columns.reduce((row, column, index) => {
+    row[column] = (line[index] || '').trim();
+    return row;
+  }, {}));
+};
+
+// ---- Validation ----
+
+const validateRow = async (userId, row) => {
+  const type = (row.type || (row.variation_code ? 'data' : 'airtime')).toLowerCase();
+  if (type !== 'airtime' && type !== 'data') {
+    return { error: 'type must be airtime or data' };
+  }
+
+  const resolved = await resolvePurchaseNetwork(userId, row.phone, row.network ? String(row.network).toLowerCase() : undefined);
+  if (resolved.error) return { error: resolved.error };
+  const { network, phone } = resolved;
+
+  const amount = row.amount === undefined || row.amount === '' ? null : parseFloat(String(row.amount).replace(/,/g, ''));
+
+  if (type === 'airtime') {
+    if (!(amount >= 50 && amount <= 50000)) {
+      return { error: 'Airtime amount must be between 50 and 50000' };
+    }
+
+    const serviceID = AIRTIME_SERVICES[network];
+    const pricing = await pricingEngine.quote({ serviceID, network, amount });
+    if (pricing.error) return { error: pricing.error };
+
+    return { item: { type, network, phone, service_id: serviceID, variation_code: null, amount: pricing.userPrice, pricing } };
+  }
+
+  if (!row.variation_code) {
+    return { error: 'variation_code is required for data' };
+  }
+
+  const serviceID = DATA_SERVICES[network];
+  const pricing = await pricingEngine.quote({ serviceID, network, variation_code: row.variation_code, amount, fixedPriceOnly: true });
+  if (pricing.error) return { error: pricing.error };
+  if (amount !== null && !pricingEngine.matchesQuote(amount, pricing)) {
+    return { error: `Amount does not match the current price of ${pricing.userPrice}` };
+  }
+
+  return { item: { type, network, phone, service_id: serviceID, variation_code: row.variation_code, amount: pricing.userPrice, pricing } };
+};
+
+// Every row is checked before anything is charged; any bad row rejects the batch
+const validateRows = async (userId, rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { errors: [{ line: null, error: 'The batch has no rows' }] };
+  }
+  if (rows.length > BULK_MAX_ROWS) {
+    return { errors: [{ line: null, error: `A batch can have at most ${BULK_MAX_ROWS} rows` }] };
+  }
+
+  const items = [];
+  const errors = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index] && typeof rows[index] === 'object' ? rows[index] : {};
+    const { item, error } = await validateRow(userId, row);
+
+    if (error) {
+      errors.push({ line: index + 1, phone: row.phone || null, error });
+    } else {
+      items.push({ line_number: index + 1, ...item });
+    }
+  }
+
+  const total = Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+  return { items, errors, total };
+};
+
+// ---- Batches ----
+
+// Debit the batch total and record the batch and its rows in one DB transaction
+const createBatch = async ({ userId, reference, source, items, total }) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [users] = await connection.execute(
+      'SELECT wallet_balance FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, error: 'User not found' };
+    }
+
+    if (parseFloat(users[0].wallet_balance) < total) {
+      await connection.rollback();
+      return { success: false, status: 400, error: 'Insufficient wallet balance for this batch', total_amount: total };
+    }
+
+    await ledger.post({
+      reference,
+      kind: 'bulk_reservation',
+      description: `Bulk batch of ${items.length} rows`,
+      entries: ledger.move(ledger.userAccount(userId), ledger.ACCOUNTS.BULK_RESERVATIONS, total)
+    }, connection);
+
+    const [result] = await connection.execute(
+      `INSERT INTO bulk_batches (user_id, reference, source, status, row_count, total_amount, reserved_amount)
+       VALUES (?, ?, ?, 'queued', ?, ?, ?)`,
+      [userId, reference, source, items.length, total, total]
+    );
+
+    for (const item of items) {
+      await connection.execute(
+        `INSERT INTO bulk_batch_items
+           (batch_id, line_number, type, phone, network, service_id, variation_code, amount, pricing, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued')`,
+        [result.insertId, item.line_number, item.type, item.phone, item.network, item.service_id, item.variation_code, item.amount, JSON.stringify(item.pricing)]
+      );
+    }
+
+    await connection.commit();
+
+    console.log(`Bulk batch reserved: User ${userId}, Rows: ${items.length}, Amount: ${total}, Reference: ${reference}`);
+    emitDebited(userId);
+    return { success: true, batchId: result.insertId };
+  } catch (error) {
+    await connection.rollback();
+    if (ledger.isInsufficientFunds(error)) {
+      return { success: false, status: 400, error: 'Insufficient wallet balance for this batch' };
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const updateItem = (itemId, fields) => {
+  const columns = Object.keys(fields);
+  return db.execute(
+    `UPDATE bulk_batch_items SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map((column) => fields[column]), itemId]
+  );
+};
+
+// Same flow as a single /airtime or /data purchase, with the hold drawn from the batch
+const processItem = async (batch, item) => {
+  const request_id = generateRequestId();
+  const pricing = typeof item.pricing === 'string' ? JSON.parse(item.pricing) : item.pricing;
+
+  // The reference is stored first so a restart mid-purchase can find the transaction
+  await updateItem(item.id, { status: 'processing', reference: request_id });
+
+  const purchase = {
+    userId: batch.user_id,
+    network: item.network,
+    phone: item.phone,
+    batchId: batch.id,
+    request_id,
+    extraDetails: { bulk_batch: batch.reference }
+  };
+
+  let result;
+  try {
+    result = item.type === 'airtime'
+      ? await purchaseAirtime({ ...purchase, amount: pricing.providerCost })
+      : await purchaseData({ ...purchase, variation_code: item.variation_code, amount: parseFloat(item.amount) });
+  } catch (payError) {
+    // /pay errored and the hold has already been released
+    await updateItem(item.id, { status: 'failed', error: payError.response?.data?.response_description || payError.message });
+    return;
+  }
+
+  const { body, reference } = result;
+
+  if (!reference) {
+    await updateItem(item.id, { status: 'failed', reference: null, error: body.error });
+  } else if (body.status === 'success') {
+    await updateItem(item.id, { status: 'success' });
+  } else if (body.status === 'pending' || !body.status) {
+    // Still pending, or the requery failed: the reconciliation worker picks it up from here
+    await updateItem(item.id, { status: 'pending' });
+  } else {
+    await updateItem(item.id, { status: 'failed', error: body.error || body.data?.response_description || 'Purchase failed' });
+  }
+};
+
+// Give back whatever is left of the reservation and close the batch
+const completeBatch = async (batch) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [batches] = await connection.execute(
+      'SELECT reserved_amount FROM bulk_batches WHERE id = ? FOR UPDATE',
+      [batch.id]
+    );
+    const leftover = parseFloat(batches[0].reserved_amount);
+
+    if (leftover > 0) {
+      await ledger.post({
+        reference: batch.reference,
+        kind: 'bulk_refund',
+        description: 'Unused bulk batch reservation',
+        entries: ledger.move(ledger.ACCOUNTS.BULK_RESERVATIONS, ledger.userAccount(batch.user_id), leftover)
+      }, connection);
+    }
+
+    await connection.execute(
+      `UPDATE bulk_batches SET status = 'completed', reserved_amount = 0, refunded_amount = refunded_amount + ?, completed_at = NOW()
+       WHERE id = ?`,
+      [leftover, batch.id]
+    );
+
+    await connection.commit();
+    console.log(`Bulk batch completed: ${batch.reference}, unused reservation refunded: ${leftover}`);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const processBatch = async (batchId) => {
+  const [batches] = await db.execute('SELECT * FROM bulk_batches WHERE id = ?', [batchId]);
+  const batch = batches[0];
+  if (!batch || batch.status === 'completed') return;
+
+  await db.execute("UPDATE bulk_batches SET status = 'processing' WHERE id = ?", [batch.id]);
+
+  // Rows left mid-purchase by a restart: if a transaction exists the reconciliation worker
+  // owns it, otherwise the row never drew on the reservation and is marked failed
+  const [interrupted] = await db.execute(
+    `SELECT i.id, t.id AS transaction_id FROM bulk_batch_items i
+     LEFT JOIN transactions t ON t.reference = i.reference
+     WHERE i.batch_id = ? AND i.status = 'processing'`,
+    [batch.id]
+  );
+  for (const item of interrupted) {
+    await updateItem(item.id, item.transaction_id
+      ? { status: 'pending' }
+      : { status: 'failed', reference: null, error: 'Interrupted before purchase' });
+  }
+
+  const [items] = await db.execute(
+    "SELECT * FROM bulk_batch_items WHERE batch_id = ? AND status = 'queued' ORDER BY line_number",
+    [batch.id]
+  );
+
+  for (const item of items) {
+    try {
+      await processItem(batch, item);
+    } catch (error) {
+      console.error(`Bulk item error for batch ${batch.reference} line ${item.line_number}:`, error.message);
+      await updateItem(item.id, { status: 'failed', error: 'Processing error' }).catch(() => {});
+    }
+  }
+
+  await completeBatch(batch);
+};
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (queue.length > 0) {
+      const batchId = queue.shift();
+      try {
+        await processBatch(batchId);
+      } catch (error) {
+        console.error(`Bulk batch ${batchId} failed:`, error.message);
+      }
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+const enqueueBatch = (batchId) => {
+  queue.push(batchId);
+  setImmediate(drainQueue);
+};
+
+// Pick up batches that were queued or mid-way when the server last stopped
+const resumeBulkBatches = async () => {
+  try {
+    const [batches] = await db.execute(
+      "SELECT id FROM bulk_batches WHERE status IN ('queued', 'processing') ORDER BY id"
+    );
+    batches.forEach((batch) => enqueueBatch(batch.id));
+    if (batches.length > 0) {
+      console.log(`📦 Resuming ${batches.length} bulk batch(es)`);
+    }
+  } catch (error) {
+    console.error('Resuming bulk batches failed:', error.message);
+  }
+};
+
+// ---- Reads ----
+
+// Row status follows the underlying transaction, so reconciled rows show their final outcome
+const getBatchItems = async (batchId) => {
+  const [items] = await db.execute(
+    `SELECT i.line_number, i.type, i.phone, i.network, i.variation_code, i.amount, i.reference,
+            i.status AS item_status, i.error, t.status AS transaction_status
+     FROM bulk_batch_items i
+     LEFT JOIN transactions t ON t.reference = i.reference
+     WHERE i.batch_id = ?
+     ORDER BY i.line_number`,
+    [batchId]
+  );
+
+  return items.map(({ item_status, transaction_status, ...item }) => ({
+    ...item,
+    amount: parseFloat(item.amount),
+    status: transaction_status || item_status
+  }));
+};
+
+const summarize = (items) => items.reduce((counts, item) => {
+  counts[item.status] = (counts[item.status] || 0) + 1;
+  return counts;
+}, {});
+
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const RESULT_COLUMNS = ['line_number', 'type', 'phone', 'network', 'variation_code', 'amount', 'status', 'reference', 'error'];
+
+const toResultCsv = (items) => [
+  RESULT_COLUMNS.join(','),
+  ...items.map((item) => RESULT_COLUMNS.map((column) => csvValue(item[column])).join(','))
+].join('\n') + '\n';
+
+module.exports = {
+  BULK_MAX_ROWS,
+  parseCsv,
+  validateRows,
+  createBatch,
+  enqueueBatch,
+  resumeBulkBatches,
+  getBatchItems,
+  summarize,
+  toResultCsv
+};
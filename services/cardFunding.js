@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const gateways = require('./gateways');
+const cardVault = require('./cardVault');
+const sendEmail = require('./sendEmail');
+const { fundingFee, settleFunding } = require('./walletFunding');
+const { walletEvents } = require('./walletEvents');
+
+// Wallet funding from saved cards: direct charges, and auto top-up rules ("when my balance
+// drops below ₦500, add ₦2,000") checked after every wallet debit. A charge goes through
+// the same locked settlement as checkout payments, so its webhook can't credit it twice.
+// Auto top-ups are capped per day, by the user's cap and by AUTO_TOPUP_MAX_DAILY_AMOUNT /
+// AUTO_TOPUP_MAX_PER_DAY, and a declined card pauses the rule. The user is emailed either way.
+const MIN_TOPUP_AMOUNT = 100;
+const MAX_TOPUP_AMOUNT = parseFloat(process.env.AUTO_TOPUP_MAX_AMOUNT) || 50000;
+const MAX_DAILY_AMOUNT = parseFloat(process.env.AUTO_TOPUP_MAX_DAILY_AMOUNT) || 100000;
+const MAX_PER_DAY = parseInt(process.env.AUTO_TOPUP_MAX_PER_DAY) || 3;
+
+// Debits right after a top-up started don't start another one
+const TRIGGER_COOLDOWN_SECONDS = 60;
+
+let listening = false;
+
+// Charge a saved card into the wallet. `source` is 'manual' or 'auto_topup'.
+// Returns { funding } or { status, error }
+const chargeSavedCard = async ({ userId, cardId, amount, source = 'manual' }) => {
+  const card = await cardVault.getChargeableCard(userId, cardId);
+  if (!card) {
+    return { status: 404, error: 'Card not found' };
+  }
+
+  const gateway = gateways.getGateway(card.gateway);
+  if (!gateway || !gateway.chargeCard) {
+    return { status: 503, error: 'This card cannot be charged right now' };
+  }
+
+  amount = Math.round(parseFloat(amount) * 100) / 100;
+  const fee = fundingFee(amount);
+  const amountToCredit = Math.round((amount - fee) * 100) / 100;
+  const reference = `ZP_CARD_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  // Pending, with the NET amount to credit, like a checkout payment
+  await db.execute(
+    'INSERT INTO transactions (user_id, type, amount, reference, provider, status, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      userId,
+      'wallet_fund',
+      amountToCredit,
+      reference,
+      gateway.name,
+      'pending',
+      JSON.stringify({
+        payment_method: 'saved_card',
+        card_id: card.id,
+        card_last4: card.last4,
+        original_amount: amount,
+        fee,
+        source
+      })
+    ]
+  );
+
+  let payment;
+  try {
+    payment = await gateway.chargeCard({
+      authorizationCode: card.authorizationCode,
+      email: card.email,
+      amount,
+      reference
+    });
+  } catch (error) {
+    // The charge may still have gone through; its webhook or /verify settles it
+    console.error(`Saved card charge ${reference} did not get an answer:`, error.message);
+    return { funding: { reference, status: 'processing', amount, fee, credited: amountToCredit } };
+  }
+
+  const result = await settleFunding({
+    gateway: gateway.name,
+    reference,
+    paymentStatus: payment.found ? payment.status : 'failed',
+    amount: payment.found ? payment.amount : 0,
+    externalReference: payment.externalReference,
+    card: payment.card
+  });
+
+  if (result.error) return result;
+
+  return {
+    funding: {
+      reference,
+      status: result.outcome,
+      amount,
+      fee,
+      credited: amountToCredit,
+      message: payment.found ? null : payment.error
+    }
+  };
+};
+
+const formatRule = (rule) => ({
+  card_id: rule.card_id,
+  threshold: parseFloat(rule.threshold),
+  amount: parseFloat(rule.amount),
+  daily_cap: parseFloat(rule.daily_cap),
+  is_active: Boolean(rule.is_active),
+  paused_reason: rule.paused_reason,
+  last_triggered_at: rule.last_triggered_at,
+  updated_at: rule.updated_at
+});
+
+const getRule = async (userId) => {
+  const [rules] = await db.execute('SELECT * FROM auto_topup_rules WHERE user_id = ?', [userId]);
+  return rules[0] ? formatRule(rules[0]) : null;
+};
+
+// Create or replace the user's rule. Saving it (re)activates it.
+// Returns { rule } or { status, error }
+const saveRule = async (userId, { cardId, threshold, amount, dailyCap }) => {
+  threshold = parseFloat(threshold);
+  amount = parseFloat(amount);
+  dailyCap = dailyCap === undefined || dailyCap === null ? Math.min(amount * MAX_PER_DAY, MAX_DAILY_AMOUNT) : parseFloat(dailyCap);
+
+  if (amount < MIN_TOPUP_AMOUNT || amount > MAX_TOPUP_AMOUNT) {
+    return { status: 400, error: `Top-up amount must be between ₦${MIN_TOPUP_AMOUNT} and ₦${MAX_TOPUP_AMOUNT}` };
+  }
+  if (dailyCap < amount || dailyCap > MAX_DAILY_AMOUNT) {
+    return { status: 400, error: `Daily cap must be at least the top-up amount and at most ₦${MAX_DAILY_AMOUNT}` };
+  }
+
+  const card = await cardVault.getChargeableCard(userId, cardId);
+  if (!card) {
+    return { status: 404, error: 'Card not found' };
+  }
+
+  await db.execute(
+    `INSERT INTO auto_topup_rules (user_id, card_id, threshold, amount, daily_cap, is_active, paused_reason)
+     VALUES (?, ?, ?, ?, ?, TRUE, NULL)
+     ON DUPLICATE KEY UPDATE card_id = VALUES(card_id), threshold = VALUES(threshold), amount = VALUES(amount),
+       daily_cap = VALUES(daily_cap), is_active = TRUE, paused_reason = NULL`,
+    [userId, card.id, threshold, amount, dailyCap]
+  );
+
+  return { rule: await getRule(userId) };
+};
+
+const deleteRule = async (userId) => {
+  const [result] = await db.execute('DELETE FROM auto_topup_rules WHERE user_id = ?', [userId]);
+  return result.affectedRows > 0;
+};
+
+const notify = async (userId, heading, lines) => {
+  try {
+    const [users] = await db.execute('SELECT email, full_name FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) return;
+
+    const message = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #5C2D91;">${heading}</h2>
+          <p>Hello ${users[0].full_name},</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            ${lines.map((line) => `<p style="margin: 0 0 10px 0;">${line}</p>`).join('')}
+          </div>
+          <p>You can change or turn off auto top-up in the app.</p>
+          <p>Best regards,<br>Zippy Pay Team</p>
+        </div>
+      `;
+
+    await sendEmail(users[0].email, `${heading} - Zippy Pay`, message);
+  } catch (error) {
+    console.error(`Auto top-up email for user ${userId} failed:`, error.message);
+  }
+};
+
+// Claim the rule for a top-up if the balance is under its threshold and the caps allow one.
+// Returns the rule to charge, or null.
+const claimTopup = async (userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // The rule row lock (and the cooldown) keep parallel debits from starting two top-ups
+    const [rules] = await connection.execute(
+      `SELECT *,
+              last_triggered_at > DATE_SUB(NOW(), INTERVAL ${TRIGGER_COOLDOWN_SECONDS} SECOND) AS cooling_down,
+              (cap_notified_on = CURDATE()) AS cap_notified
+       FROM auto_topup_rules WHERE user_id = ? AND is_active = TRUE FOR UPDATE`,
+      [userId]
+    );
+    const rule = rules[0];
+
+    // The wallet row isn't locked; debits shouldn't wait on auto top-up
+    const [users] = await connection.execute('SELECT wallet_balance FROM users WHERE id = ?', [userId]);
+
+    if (!rule || users.length === 0 || parseFloat(users[0].wallet_balance) >= parseFloat(rule.threshold) || rule.cooling_down) {
+      await connection.rollback();
+      return null;
+    }
+
+    const [today] = await connection.execute(
+      `SELECT COUNT(*) AS count,
+              COALESCE(SUM(JSON_EXTRACT(details, '$.original_amount')), 0) AS total,
+              SUM(status IN ('pending', 'processing')) AS open
+       FROM transactions
+       WHERE user_id = ? AND type = 'wallet_fund' AND status IN ('pending', 'processing', 'success')
+         AND JSON_UNQUOTE(JSON_EXTRACT(details, '$.source')) = 'auto_topup'
+         AND created_at >= CURDATE()`,
+      [userId]
+    );
+    const { count, total, open } = today[0];
+
+    if (parseInt(open) > 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const cap = Math.min(parseFloat(rule.daily_cap), MAX_DAILY_AMOUNT);
+    if (parseInt(count) >= MAX_PER_DAY || parseFloat(total) + parseFloat(rule.amount) > cap) {
+      // Tell the user once a day that top-ups have stopped for today
+      if (!rule.cap_notified) {
+        await connection.execute('UPDATE auto_topup_rules SET cap_notified_on = CURDATE() WHERE id = ?', [rule.id]);
+        await connection.commit();
+        notify(userId, 'Auto Top-up Limit Reached', [
+          `Your balance is below ₦${parseFloat(rule.threshold)}, but today's auto top-up limit has been reached.`,
+          'Auto top-up will resume tomorrow.'
+        ]);
+      } else {
+        await connection.rollback();
+      }
+      return null;
+    }
+
+    await connection.execute('UPDATE auto_topup_rules SET last_triggered_at = NOW() WHERE id = ?', [rule.id]);
+    await connection.commit();
+    return rule;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Run the user's auto top-up rule after a debit
+const checkAutoTopup = async (userId) => {
+  const rule = await claimTopup(userId);
+  if (!rule) return null;
+
+  const amount = parseFloat(rule.amount);
+  console.log(`Auto top-up: User ${userId}, balance below ${rule.threshold}, charging ${amount}`);
+
+  const result = await chargeSavedCard({ userId, cardId: rule.card_id, amount, source: 'auto_topup' });
+  const { funding } = result;
+
+  if (funding?.status === 'success') {
+    await notify(userId, 'Wallet Topped Up', [
+      `Your balance dropped below ₦${parseFloat(rule.threshold)}, so we added ₦${funding.credited} to your wallet from your saved card.`,
+      `Amount charged: ₦${funding.amount} (fee ₦${funding.fee})`,
+      `Reference: ${funding.reference}`
+    ]);
+  } else if (funding?.status !== 'processing') {
+    // A declined card would be declined again on every debit, so the rule waits for the user
+    const reason = result.error || funding?.message || `Charge ${funding?.status}`;
+    await db.execute(
+      'UPDATE auto_topup_rules SET is_active = FALSE, paused_reason = ? WHERE id = ?',
+      [String(reason).slice(0, 255), rule.id]
+    );
+    await notify(userId, 'Auto Top-up Paused', [
+      `We couldn't top up your wallet from your saved card: ${reason}.`,
+      'Auto top-up is paused. Update your card or save the rule again to turn it back on.'
+    ]);
+  }
+
+  return result;
+};
+
+const startAutoTopup = () => {
+  if (listening) return;
+  listening = true;
+
+  walletEvents.on('debited', (userId) => {
+    checkAutoTopup(userId).catch((error) => {
+      console.error(`Auto top-up for user ${userId} failed:`, error.message);
+    });
+  });
+  console.log('💳 Auto top-up started');
+};
+
+module.exports = {
+  chargeSavedCard,
+  getRule,
+  saveRule,
+  deleteRule,
+  checkAutoTopup,
+  startAutoTopup
+};
@@ -0,0 +1,80 @@
+const db = require('../config/database');
+const { sealSecret, openSecret } = require('./vaultCrypto');
+
+// Saved cards: the reusable authorization a gateway returns after a successful card payment.
+// The authorization code is what lets us charge the card again, so it is encrypted at rest
+// (services/vaultCrypto, under CARD_VAULT_KEY) and never leaves this module except to charge
+// the card. Without a key, cards are simply not saved.
+
+const formatCard = (card) => ({
+  id: card.id,
+  gateway: card.gateway,
+  brand: card.brand,
+  last4: card.last4,
+  exp_month: card.exp_month,
+  exp_year: card.exp_year,
+  bank: card.bank,
+  created_at: card.created_at
+});
+
+// Save (or refresh) the card from a successful payment. `card` is the gateway's reusable card
+// ({ authorizationCode, signature, brand, last4, expMonth, expYear, bank, email }).
+// Pass the settlement's connection to save it in the same DB transaction.
+const storeCard = async ({ userId, gateway, card }, connection = db) => {
+  if (!card.signature) return false;
+
+  const authorizationCode = sealSecret(card.authorizationCode, 'saved cards');
+  if (!authorizationCode) return false;
+
+  // The same card paid again refreshes its authorization instead of adding a duplicate
+  await connection.execute(
+    `INSERT INTO saved_cards (user_id, gateway, authorization_code, signature, email, brand, last4, exp_month, exp_year, bank)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE authorization_code = VALUES(authorization_code), email = VALUES(email),
+       exp_month = VALUES(exp_month), exp_year = VALUES(exp_year), bank = VALUES(bank)`,
+    [
+      userId, gateway, authorizationCode, card.signature, card.email,
+      card.brand || null, card.last4 || null, card.expMonth || null, card.expYear || null, card.bank || null
+    ]
+  );
+  return true;
+};
+
+const listCards = async (userId) => {
+  const [cards] = await db.execute(
+    'SELECT * FROM saved_cards WHERE user_id = ? ORDER BY updated_at DESC',
+    [userId]
+  );
+  return cards.map(formatCard);
+};
+
+// A card with its decrypted authorization code, ready to charge. Returns null when the card
+// isn't the user's or can't be decrypted (e.g. CARD_VAULT_KEY changed).
+const getChargeableCard = async (userId, cardId) => {
+  const [cards] = await db.execute(
+    'SELECT * FROM saved_cards WHERE id = ? AND user_id = ?',
+    [cardId, userId]
+  );
+  if (cards.length === 0) return null;
+
+  const authorizationCode = openSecret(cards[0].authorization_code);
+  if (!authorizationCode) return null;
+
+  return { ...formatCard(cards[0]), email: cards[0].email, authorizationCode };
+};
+
+const deleteCard = async (userId, cardId) => {
+  const [result] = await db.execute(
+    'DELETE FROM saved_cards WHERE id = ? AND user_id = ?',
+    [cardId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  formatCard,
+  storeCard,
+  listCards,
+  getChargeableCard,
+  deleteCard
+};
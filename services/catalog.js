@@ -0,0 +1,255 @@
+const db = require('../config/database');
+const vtuProviders = require('./providers');
+
+// VTU catalog store: service categories, services and variations synced from the provider
+// into MySQL on a schedule and served from an in-memory cache.
+const CATALOG_CACHE_TTL_MS = parseInt(process.env.CATALOG_CACHE_TTL_MS) || 10 * 60 * 1000;
+const CATALOG_SYNC_INTERVAL_MS = parseInt(process.env.CATALOG_SYNC_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+const cache = new Map();
+let syncTimer = null;
+let syncing = false;
+
+const cached = async (key, load) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + CATALOG_CACHE_TTL_MS });
+  return value;
+};
+
+const invalidate = (serviceID) => {
+  if (serviceID) {
+    cache.delete(`variations:${serviceID}`);
+  } else {
+    cache.clear();
+  }
+};
+
+// ---- Parsing VTpass names into structured fields ----
+
+const SIZE_UNITS_MB = { mb: 1, gb: 1024, tb: 1024 * 1024 };
+const VALIDITY_UNITS_DAYS = { hr: 1 / 24, hrs: 1 / 24, hour: 1 / 24, hours: 1 / 24, day: 1, days: 1, week: 7, weeks: 7, month: 30, months: 30, year: 365, years: 365 };
+const VALIDITY_WORDS_DAYS = { daily: 1, weekly: 7, monthly: 30, yearly: 365 };
+
+// "MTN Data 1.5GB - 30 days" -> 1536
+const parseDataSizeMb = (name) => {
+  const match = /(\d+(?:\.\d+)?)\s*(TB|GB|MB)\b/i.exec(name || '');
+  return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS_MB[match[2].toLowerCase()]) : null;
+};
+
+// "... - 30 days", "... 7days", "... (Weekly)", "... 24hrs" -> days
+const parseValidityDays = (name) => {
+  const match = /(\d+)\s*-?\s*(hrs?|hours?|days?|weeks?|months?|years?)\b/i.exec(name || '');
+  if (match) {
+    return Math.round(parseInt(match[1]) * VALIDITY_UNITS_DAYS[match[2].toLowerCase()] * 100) / 100;
+  }
+  const word = /\b(daily|weekly|monthly|yearly)\b/i.exec(name || '');
+  return word ? VALIDITY_WORDS_DAYS[word[1].toLowerCase()] : null;
+};
+
+// variation_amount, falling back to a price in the name such as "DStv Padi N2,950"
+const parseVariationPrice = (variation) => {
+  const amount = parseFloat(variation.variation_amount);
+  if (amount > 0) return amount;
+  const match = /(?:N|₦)\s?([\d,]+(?:\.\d+)?)/.exec(variation.name || '');
+  return match ? parseFloat(match[1].replace(/,/g, '')) : 0;
+};
+
+// ---- Sync ----
+
+const syncVariations = async (serviceID) => {
+  const data = await vtuProviders.getVariations(serviceID);
+  const variations = data?.content?.variations || data?.content?.varations || [];
+  const seen = [];
+
+  for (const variation of variations) {
+    seen.push(variation.variation_code);
+    await db.execute(
+      `INSERT INTO service_variations
+         (service_id, variation_code, name, provider_amount, fixed_price, data_size_mb, validity_days, available, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, NOW())
+       ON DUPLICATE KEY UPDATE
+         name = VALUES(name), provider_amount = VALUES(provider_amount), fixed_price = VALUES(fixed_price),
+         data_size_mb = VALUES(data_size_mb), validity_days = VALUES(validity_days), available = TRUE, synced_at = NOW()`,
+      [
+        serviceID,
+        variation.variation_code,
+        variation.name,
+        parseVariationPrice(variation),
+        variation.fixedPrice === 'Yes',
+        parseDataSizeMb(variation.name),
+        parseValidityDays(variation.name)
+      ]
+    );
+  }
+
+  // Variations the provider no longer lists stay in the table but are hidden
+  if (seen.length > 0) {
+    await db.execute(
+      `UPDATE service_variations SET available = FALSE
+       WHERE service_id = ? AND variation_code NOT IN (${seen.map(() => '?').join(', ')})`,
+      [serviceID, ...seen]
+    );
+  }
+
+  invalidate(serviceID);
+  return variations.length;
+};
+
+const syncCatalog = async () => {
+  if (syncing) return;
+  syncing = true;
+
+  try {
+    const categoriesData = await vtuProviders.getServiceCategories();
+    const categories = categoriesData?.content || [];
+
+    for (const category of categories) {
+      await db.execute(
+        `INSERT INTO service_categories (identifier, name, synced_at) VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE name = VALUES(name), synced_at = NOW()`,
+        [category.identifier, category.name]
+      );
+
+      const servicesData = await vtuProviders.getServices(category.identifier);
+      const services = servicesData?.content || [];
+
+      for (const service of services) {
+        await db.execute(
+          `INSERT INTO vtu_services
+             (service_id, category, name, min_amount, max_amount, convenience_fee, product_type, image, synced_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+           ON DUPLICATE KEY UPDATE
+             category = VALUES(category), name = VALUES(name), min_amount = VALUES(min_amount),
+             max_amount = VALUES(max_amount), convenience_fee = VALUES(convenience_fee),
+             product_type = VALUES(product_type), image = VALUES(image), synced_at = NOW()`,
+          [
+            service.serviceID,
+            category.identifier,
+            service.name,
+            parseFloat(service.minimium_amount) || null,
+            parseFloat(service.maximum_amount) || null,
+            service.convinience_fee || null,
+            service.product_type || null,
+            service.image || null
+          ]
+        );
+
+        try {
+          await syncVariations(service.serviceID);
+        } catch (error) {
+          console.error(`Catalog variation sync failed for ${service.serviceID}:`, error.message);
+        }
+      }
+    }
+
+    invalidate();
+    console.log(`📦 VTU catalog synced: ${categories.length} categories`);
+  } catch (error) {
+    console.error('Catalog sync failed:', error.response?.data || error.message);
+  } finally {
+    syncing = false;
+  }
+};
+
+const startCatalogSync = () => {
+  if (syncTimer) return;
+  // First sync shortly after boot, once the tables have been created
+  setTimeout(syncCatalog, 30 * 1000).unref();
+  syncTimer = setInterval(syncCatalog, CATALOG_SYNC_INTERVAL_MS);
+};
+
+// ---- Reads ----
+
+const loadCategories = async () => {
+  const [categories] = await db.execute(
+    'SELECT identifier, name FROM service_categories ORDER BY name'
+  );
+  return categories;
+};
+
+// An empty catalog (first boot) is synced before answering
+const getCategories = () => cached('categories', async () => {
+  let categories = await loadCategories();
+  if (categories.length === 0) {
+    await syncCatalog();
+    categories = await loadCategories();
+  }
+  return categories;
+});
+
+const getServices = (identifier) => cached(`services:${identifier}`, async () => {
+  const [services] = await db.execute(
+    `SELECT service_id AS serviceID, category, name, min_amount, max_amount, convenience_fee, product_type, image
+     FROM vtu_services WHERE category = ? AND enabled = TRUE ORDER BY name`,
+    [identifier]
+  );
+  return services.map((service) => ({
+    ...service,
+    min_amount: service.min_amount === null ? null : parseFloat(service.min_amount),
+    max_amount: service.max_amount === null ? null : parseFloat(service.max_amount)
+  }));
+});
+
+const loadVariations = async (serviceID) => {
+  const [variations] = await db.execute(
+    `SELECT id, variation_code, name, provider_amount, fixed_price, data_size_mb, validity_days, enabled
+     FROM service_variations WHERE service_id = ? AND available = TRUE ORDER BY provider_amount, name`,
+    [serviceID]
+  );
+  return variations.map((variation) => ({
+    ...variation,
+    provider_amount: parseFloat(variation.provider_amount),
+    validity_days: variation.validity_days === null ? null : parseFloat(variation.validity_days),
+    fixed_price: Boolean(variation.fixed_price),
+    enabled: Boolean(variation.enabled)
+  }));
+};
+
+// All available variations for a service, including admin-disabled ones.
+// A service that has never been synced is fetched from the provider on first use.
+const getVariations = (serviceID) => cached(`variations:${serviceID}`, async () => {
+  let variations = await loadVariations(serviceID);
+  if (variations.length === 0) {
+    await syncVariations(serviceID);
+    variations = await loadVariations(serviceID);
+  }
+  return variations;
+});
+
+const findVariation = async (serviceID, variation_code) => {
+  const variations = await getVariations(serviceID);
+  return variations.find((variation) => variation.variation_code === variation_code) || null;
+};
+
+const setVariationEnabled = async (id, enabled) => {
+  const [result] = await db.execute(
+    'UPDATE service_variations SET enabled = ? WHERE id = ?',
+    [enabled, id]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const [variations] = await db.execute(
+    'SELECT id, service_id, variation_code, name, enabled FROM service_variations WHERE id = ?',
+    [id]
+  );
+  invalidate(variations[0].service_id);
+  return { ...variations[0], enabled: Boolean(variations[0].enabled) };
+};
+
+module.exports = {
+  syncCatalog,
+  syncVariations,
+  startCatalogSync,
+  getCategories,
+  getServices,
+  getVariations,
+  findVariation,
+  setVariationEnabled,
+  invalidate,
+  parseDataSizeMb,
+  parseValidityDays,
+  parseVariationPrice
+};
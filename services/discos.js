@@ -0,0 +1,110 @@
+const catalog = require('./catalog');
+const vtuProviders = require('./providers');
+const discoConfig = require('../config/discos');
+
+// Electricity distribution companies. The list comes from the catalog's electricity-bill
+// category; config/discos adds the minimum vend amount and meter rules for each one.
+const ELECTRICITY_CATEGORY = 'electricity-bill';
+const METER_TYPES = ['prepaid', 'postpaid'];
+
+const resolveRules = (serviceID) => {
+  const defaults = discoConfig.rules.default;
+  const overrides = discoConfig.rules[serviceID] || {};
+  return {
+    ...defaults,
+    ...overrides,
+    meterPattern: { ...defaults.meterPattern, ...overrides.meterPattern }
+  };
+};
+
+const getDiscos = async () => {
+  // Makes sure the catalog has been synced at least once
+  await catalog.getCategories();
+  const services = await catalog.getServices(ELECTRICITY_CATEGORY);
+
+  return services.map((service) => {
+    const rules = resolveRules(service.serviceID);
+    return {
+      serviceID: service.serviceID,
+      name: service.name,
+      image: service.image,
+      min_amount: Math.max(service.min_amount || 0, rules.minAmount || 0),
+      max_amount: service.max_amount,
+      meter_types: METER_TYPES
+    };
+  });
+};
+
+const findDisco = async (serviceID) => {
+  const discos = await getDiscos();
+  return discos.find((disco) => disco.serviceID === serviceID) || null;
+};
+
+// Some meters carry a higher minimum (arrears, account type) in the verification response
+const verificationMinimum = (verification) => {
+  const content = verification?.content || verification || {};
+  return parseFloat(content.Min_Purchase_Amount || content.Minimum_Amount) || 0;
+};
+
+const checkMeter = (disco, billersCode, type) => {
+  if (!METER_TYPES.includes(type)) {
+    return 'Type must be prepaid or postpaid';
+  }
+
+  const pattern = resolveRules(disco.serviceID).meterPattern[type];
+  if (pattern && !new RegExp(pattern).test(String(billersCode))) {
+    return `Invalid ${type} meter number for ${disco.name}`;
+  }
+  return null;
+};
+
+// Verify a meter with the provider after the disco's own rules.
+// Returns { disco, verification, customerName, minAmount } or { status, error, details }.
+const verifyMeter = async ({ serviceID, billersCode, type }) => {
+  const disco = await findDisco(serviceID);
+  if (!disco) {
+    return { status: 400, error: 'This disco is not supported' };
+  }
+
+  const meterError = checkMeter(disco, billersCode, type);
+  if (meterError) {
+    return { status: 400, error: meterError };
+  }
+
+  const verification = await vtuProviders.verifyMerchant({ serviceID, billersCode, type });
+
+  // Check if VTpass returned an error
+  if (verification.code && verification.code !== "000") {
+    return {
+      status: 400,
+      error: verification.response_description || verification.content?.error || "Meter verification failed",
+      details: verification
+    };
+  }
+
+  const customerName = verification.content?.Customer_Name || verification.Customer_Name;
+  if (!customerName || verification.content?.WrongBillersCode) {
+    return {
+      status: 400,
+      error: verification.content?.error || "Meter verification failed. Please check your meter number.",
+      details: verification
+    };
+  }
+
+  return {
+    disco,
+    verification,
+    customerName,
+    minAmount: Math.max(disco.min_amount, verificationMinimum(verification))
+  };
+};
+
+module.exports = {
+  METER_TYPES,
+  resolveRules,
+  getDiscos,
+  findDisco,
+  verificationMinimum,
+  checkMeter,
+  verifyMeter
+};
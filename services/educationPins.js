@@ -0,0 +1,162 @@
+const db = require('../config/database');
+const vtuProviders = require('./providers');
+const { parseDetails } = require('./walletHolds');
+const { isSealed, sealSecret, openSecret } = require('./vaultCrypto');
+
+// Education PINs (WAEC, NECO, JAMB): the PIN/serial pairs the provider returns for a
+// purchase are stored per transaction so users can get them again later. PINs are encrypted
+// with the card vault key; without CARD_VAULT_KEY they aren't stored and are requeried instead.
+
+const EDUCATION_SERVICES = ['waec', 'waec-registration', 'neco', 'jamb'];
+
+// JAMB PINs are tied to a candidate profile that must be verified before purchase
+const PROFILE_SERVICES = ['jamb'];
+
+const MAX_QUANTITY = 10;
+
+const isEducationService = (serviceID) => EDUCATION_SERVICES.includes(serviceID);
+
+// "Pin : 1234..." -> "1234..."
+const cleanValue = (value, label) => {
+  if (value === undefined || value === null) return null;
+  const cleaned = String(value).replace(new RegExp(`^\\s*${label}\\s*:?\\s*`, 'i'), '').trim();
+  return cleaned || null;
+};
+
+// VTpass returns result checker cards as `cards: [{ Serial, Pin }]`, registration PINs as
+// `tokens: [...]` and JAMB as a single `Pin` / `purchased_code` string
+const extractPins = (...responses) => {
+  for (const response of responses) {
+    if (!response) continue;
+    const body = { ...(typeof response.content === 'object' && response.content), ...response };
+
+    if (Array.isArray(body.cards) && body.cards.length > 0) {
+      return body.cards.map((card) => ({
+        pin: cleanValue(card.Pin || card.pin, 'pin'),
+        serial: cleanValue(card.Serial || card.serial, 'serial')
+      })).filter((card) => card.pin);
+    }
+
+    if (Array.isArray(body.tokens) && body.tokens.length > 0) {
+      return body.tokens.map((token) => ({ pin: cleanValue(token, 'token'), serial: null })).filter((card) => card.pin);
+    }
+
+    const pin = cleanValue(body.Pin || body.pin || body.purchased_code, 'pin');
+    if (pin) return [{ pin, serial: null }];
+  }
+  return [];
+};
+
+// Rows from before PINs were encrypted are still plain text
+const readPin = (stored) => (isSealed(stored) ? openSecret(stored) : stored);
+
+const getPins = async (reference) => {
+  const [rows] = await db.execute(
+    'SELECT pin, serial FROM education_pins WHERE reference = ? ORDER BY id',
+    [reference]
+  );
+
+  const pins = rows.map((row) => ({ pin: readPin(row.pin), serial: row.serial }));
+  // A PIN that can't be decrypted (key missing or changed) is fetched from the provider again
+  return pins.some((row) => !row.pin) ? [] : pins;
+};
+
+// Store the PINs for a delivered purchase once; later calls leave existing PINs alone
+const savePins = async ({ userId, reference, serviceID, responses }) => {
+  const existing = await getPins(reference);
+  if (existing.length > 0) return existing;
+
+  const pins = extractPins(...responses);
+  if (pins.length === 0) {
+    console.warn(`No PINs in provider response for ${reference}, retrieval needed`);
+    return [];
+  }
+
+  const sealed = pins.map(({ pin, serial }) => ({ pin: sealSecret(pin, 'education PINs'), serial }));
+  if (sealed.some((row) => !row.pin)) return pins;
+
+  // Any unreadable rows from an old key are replaced
+  await db.execute('DELETE FROM education_pins WHERE reference = ?', [reference]);
+  for (const { pin, serial } of sealed) {
+    await db.execute(
+      'INSERT INTO education_pins (user_id, reference, service_id, pin, serial) VALUES (?, ?, ?, ?, ?)',
+      [userId, reference, serviceID, pin, serial]
+    );
+  }
+
+  return pins;
+};
+
+// Fetch the PINs for a user's purchase, requerying the provider when none were captured.
+// Returns { pins } or { status, error }.
+const retrievePins = async (reference, userId = null) => {
+  const [transactions] = await db.execute(
+    `SELECT user_id, status, provider, details FROM transactions
+     WHERE reference = ? AND type = 'bill' ${userId ? 'AND user_id = ?' : ''}`,
+    userId ? [reference, userId] : [reference]
+  );
+
+  if (transactions.length === 0) {
+    return { status: 404, error: 'Transaction not found' };
+  }
+
+  const transaction = transactions[0];
+  const details = parseDetails(transaction.details);
+
+  if (!isEducationService(details.serviceID)) {
+    return { status: 400, error: 'This transaction is not an education PIN purchase' };
+  }
+
+  const stored = await getPins(reference);
+  if (stored.length > 0) return { pins: stored };
+
+  if (transaction.status !== 'success') {
+    return { status: 400, error: `PINs are only available for successful purchases, this one is ${transaction.status}` };
+  }
+
+  const { status, data } = await vtuProviders.requery(transaction.provider, details.request_id || reference);
+  if (status !== 'delivered') {
+    return { status: 409, error: `Provider reports this purchase as ${status}` };
+  }
+
+  const pins = await savePins({ userId: transaction.user_id, reference, serviceID: details.serviceID, responses: [data] });
+  return { pins };
+};
+
+// Check a candidate profile (e.g. a JAMB profile ID) before selling a PIN against it.
+// Returns { customerName } or { error }.
+const verifyProfile = async ({ serviceID, billersCode, variation_code }) => {
+  const verification = await vtuProviders.verifyMerchant({ serviceID, billersCode, type: variation_code });
+  const customerName = verification?.content?.Customer_Name || verification?.Customer_Name;
+
+  if ((verification.code && verification.code !== '000') || verification?.content?.error || !customerName) {
+    return { error: verification?.content?.error || verification?.response_description || 'Profile verification failed. Please check the profile ID.' };
+  }
+
+  return { customerName };
+};
+
+// Purchases that settle later (reconciliation, callbacks) get their PINs stored here
+const captureOnSettlement = async (transaction) => {
+  const details = parseDetails(transaction.details);
+  if (!isEducationService(details.serviceID)) return;
+
+  try {
+    await retrievePins(transaction.reference);
+  } catch (error) {
+    console.error(`PIN capture error for ${transaction.reference}:`, error.response?.data || error.message);
+  }
+};
+
+module.exports = {
+  EDUCATION_SERVICES,
+  PROFILE_SERVICES,
+  MAX_QUANTITY,
+  isEducationService,
+  extractPins,
+  getPins,
+  savePins,
+  retrievePins,
+  verifyProfile,
+  captureOnSettlement
+};
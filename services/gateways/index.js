@@ -0,0 +1,55 @@
+const config = require('../../config/fundingGateways');
+const createPaystackGateway = require('./paystack');
+const createFlutterwaveGateway = require('./flutterwave');
+
+// Funding gateway factories by type; new integrations register here
+const factories = {
+  paystack: createPaystackGateway,
+  flutterwave: createFlutterwaveGateway
+};
+
+const registry = {};
+for (const [name, options] of Object.entries(config.gateways)) {
+  if (options.enabled === false) continue;
+  registry[name] = factories[options.type]({ ...options, name, timeout: config.timeout });
+}
+
+// Transactions from before gateways were recorded all went through Paystack
+const LEGACY_GATEWAY = 'paystack';
+
+const getGateway = (name) => registry[name || LEGACY_GATEWAY] || null;
+
+// Registered gateways in the configured order
+const activeGateways = () => {
+  const names = config.order.filter((name) => registry[name]);
+  return names.length > 0 ? names : Object.keys(registry);
+};
+
+// Start a checkout on the first gateway that takes it, moving on while one is down or
+// declines. Resolves to { gateway, authorization_url, access_code }; throws when all fail.
+const initializePayment = async (payment) => {
+  let lastError;
+
+  for (const name of activeGateways()) {
+    try {
+      const result = await registry[name].initialize(payment);
+      if (!result.error) {
+        return { gateway: name, ...result };
+      }
+      lastError = new Error(result.error);
+      console.warn(`Funding gateway ${name} declined the checkout (${result.error}), trying next`);
+    } catch (error) {
+      lastError = error;
+      console.warn(`Funding gateway ${name} unavailable (${error.code || error.response?.status || error.message}), trying next`);
+    }
+  }
+
+  throw lastError || new Error('No funding gateway configured');
+};
+
+module.exports = {
+  LEGACY_GATEWAY,
+  getGateway,
+  activeGateways,
+  initializePayment
+};
@@ -0,0 +1,118 @@
+const paystack = require('../paystack');
+
+// Paystack implementation of the funding gateway interface:
+// initialize, verify, chargeCard, verifyWebhook and parseWebhook. Amounts out are in kobo and
+// statuses are transaction statuses (success, processing, cancelled, reversed, failed).
+// Successful card payments carry the reusable `card` that chargeCard can charge again.
+
+// Paystack payment statuses that are not final yet
+const IN_PROGRESS_STATUSES = ['ongoing', 'pending', 'processing', 'queued'];
+
+const transactionStatusFor = (paymentStatus) => {
+  if (paymentStatus === 'success') return 'success';
+  if (IN_PROGRESS_STATUSES.includes(paymentStatus)) return 'processing';
+  if (paymentStatus === 'abandoned') return 'cancelled';
+  if (paymentStatus === 'reversed') return 'reversed';
+  return 'failed';
+};
+
+// The card behind a payment, when Paystack says it can be charged again
+const reusableCard = (data) => {
+  const authorization = data.authorization;
+  if (!authorization || authorization.channel !== 'card' || !authorization.reusable) return null;
+
+  return {
+    authorizationCode: authorization.authorization_code,
+    signature: authorization.signature,
+    brand: authorization.brand || authorization.card_type,
+    last4: authorization.last4,
+    expMonth: authorization.exp_month,
+    expYear: authorization.exp_year,
+    bank: authorization.bank,
+    email: data.customer?.email
+  };
+};
+
+const paymentResult = (data) => ({
+  found: true,
+  status: transactionStatusFor(data.status),
+  gatewayStatus: data.status,
+  amount: data.amount,
+  externalReference: data.id,
+  card: data.status === 'success' ? reusableCard(data) : null
+});
+
+const createPaystackGateway = ({ name, timeout }) => ({
+  name,
+
+  // Returns { authorization_url, access_code } or { error }
+  initialize: async ({ amount, email, reference, callbackUrl, metadata }) => {
+    const response = await paystack.initializeTransaction({
+      amount: Math.round(amount * 100), // Convert to kobo (Gross Amount)
+      email,
+      reference,
+      callback_url: callbackUrl,
+      metadata
+    }, { timeout });
+
+    if (!response.status) {
+      return { error: response.message || 'Failed to initialize payment' };
+    }
+    return {
+      authorization_url: response.data.authorization_url,
+      access_code: response.data.access_code
+    };
+  },
+
+  verify: async (reference) => {
+    const response = await paystack.verifyTransaction(reference, { timeout });
+    if (!response.status) return { found: false };
+    return paymentResult(response.data);
+  },
+
+  // Charge a saved card without checkout. Returns the payment like verify, or { found: false, error }
+  chargeCard: async ({ authorizationCode, email, amount, reference }) => {
+    const response = await paystack.chargeAuthorization({
+      authorization_code: authorizationCode,
+      email,
+      amount: Math.round(amount * 100),
+      reference
+    }, { timeout });
+
+    if (!response.status) {
+      return { found: false, error: response.message || 'Card was declined' };
+    }
+    return paymentResult(response.data);
+  },
+
+  verifyWebhook: (req) => paystack.verifyWebhookSignature(req.rawBody, req.header('x-paystack-signature')),
+
+  // Paystack events carry no event id, so the event name and Paystack transaction id stand in
+  parseWebhook: ({ event, data }) => {
+    if (event !== 'charge.success') return null;
+
+    const eventId = `${event}:${data.id}`;
+
+    // Bank transfer into a user's virtual account
+    if (data.channel === 'dedicated_nuban') {
+      return {
+        kind: 'transfer',
+        event,
+        eventId,
+        accountNumber: data.authorization?.receiver_bank_account_number,
+        reference: data.reference,
+        amount: data.amount,
+        externalReference: data.id,
+        sender: {
+          bank: data.authorization?.sender_bank,
+          name: data.authorization?.sender_name,
+          account_number: data.authorization?.sender_bank_account_number
+        }
+      };
+    }
+
+    return { ...paymentResult(data), kind: 'payment', event, eventId, reference: data.reference };
+  }
+});
+
+module.exports = createPaystackGateway;
@@ -0,0 +1,176 @@
+const db = require('../config/database');
+
+// Double-entry ledger behind users.wallet_balance. Every wallet movement is a journal of
+// entries that sum to zero across user wallets and system accounts; an entry's amount is
+// what it adds to that account (negative takes away). Journals are append-only: mistakes
+// are fixed with another journal, never by editing one. post() is the only place that
+// changes wallet_balance, so each user's balance is the sum of their wallet entries.
+
+const ACCOUNTS = {
+  FUNDING: 'system:funding',                   // money paid in through the gateways
+  PROVIDER_PAYABLE: 'system:provider_payable', // cost of delivered purchases, owed to VTU providers
+  FEES: 'system:fees',                         // our margin on purchases
+  REWARDS: 'system:rewards',                   // referral rewards paid out
+  PURCHASE_HOLDS: 'system:purchase_holds',     // funds held for purchases awaiting the provider
+  BULK_RESERVATIONS: 'system:bulk_reservations', // bulk batch totals not yet drawn by rows
+  PAYOUTS: 'system:payouts',                   // withdrawals paid out (or on their way) to bank accounts
+  OPENING_BALANCES: 'system:opening_balances', // balances that existed before the ledger
+  CORRECTIONS: 'system:corrections'            // approved wallet integrity corrections
+};
+
+const userAccount = (userId) => `user:${userId}`;
+
+const accountUserId = (account) => {
+  const match = /^user:(\d+)$/.exec(account);
+  return match ? parseInt(match[1]) : null;
+};
+
+const toKobo = (amount) => Math.round(parseFloat(amount) * 100);
+
+const INSUFFICIENT_FUNDS = 'INSUFFICIENT_FUNDS';
+
+const isInsufficientFunds = (error) => error?.code === INSUFFICIENT_FUNDS;
+
+// Two-entry journal lines moving `amount` from one account to another
+const move = (from, to, amount) => [
+  { account: from, amount: -amount },
+  { account: to, amount }
+];
+
+const postEntries = async (connection, { reference, kind, description, entries, allowOverdraft }) => {
+  const lines = entries
+    .map((entry) => ({ ...entry, kobo: toKobo(entry.amount) }))
+    .filter((entry) => entry.kobo !== 0);
+
+  if (lines.length === 0) return null;
+
+  const total = lines.reduce((sum, entry) => sum + entry.kobo, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger journal ${kind} ${reference || ''}: entries sum to ${total / 100}`);
+  }
+
+  const [journal] = await connection.execute(
+    'INSERT INTO ledger_journals (reference, kind, description) VALUES (?, ?, ?)',
+    [reference, kind, description]
+  );
+
+  for (const entry of lines) {
+    const userId = accountUserId(entry.account);
+    const amount = entry.kobo / 100;
+
+    await connection.execute(
+      'INSERT INTO ledger_entries (journal_id, account, user_id, amount) VALUES (?, ?, ?, ?)',
+      [journal.insertId, entry.account, userId, amount]
+    );
+
+    if (userId && (amount > 0 || allowOverdraft)) {
+      await connection.execute(
+        'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?',
+        [amount, userId]
+      );
+    } else if (userId) {
+      // Debits only go through while the wallet covers them, whatever the caller checked
+      const [debit] = await connection.execute(
+        'UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ? AND wallet_balance + ? >= 0',
+        [amount, userId, amount]
+      );
+      if (debit.affectedRows === 0) {
+        const error = new Error('Insufficient wallet balance');
+        error.code = INSUFFICIENT_FUNDS;
+        throw error;
+      }
+    }
+  }
+
+  return journal.insertId;
+};
+
+// Post a balanced journal and apply its wallet entries. Pass the caller's connection to
+// make it part of an open DB transaction; without one it runs in its own. A wallet debit
+// the balance can't cover throws an INSUFFICIENT_FUNDS error (see isInsufficientFunds)
+// unless `allowOverdraft` is set. Returns the journal id (null when every entry is zero).
+const post = async ({ reference = null, kind, description = null, entries, allowOverdraft = false }, connection = null) => {
+  if (connection) {
+    return postEntries(connection, { reference, kind, description, entries, allowOverdraft });
+  }
+
+  const own = await db.getConnection();
+  try {
+    await own.beginTransaction();
+    const journalId = await postEntries(own, { reference, kind, description, entries, allowOverdraft });
+    await own.commit();
+    return journalId;
+  } catch (error) {
+    await own.rollback();
+    throw error;
+  } finally {
+    own.release();
+  }
+};
+
+const getBalance = async (account) => {
+  const [rows] = await db.execute(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries WHERE account = ?',
+    [account]
+  );
+  return parseFloat(rows[0].balance);
+};
+
+const getEntries = async (account, { limit = 50, offset = 0 } = {}) => {
+  const [entries] = await db.execute(
+    `SELECT e.id, e.amount, e.created_at, j.id AS journal_id, j.reference, j.kind, j.description
+     FROM ledger_entries e
+     JOIN ledger_journals j ON j.id = e.journal_id
+     WHERE e.account = ?
+     ORDER BY e.id DESC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    [account]
+  );
+  return entries.map((entry) => ({ ...entry, amount: parseFloat(entry.amount) }));
+};
+
+// Compare every wallet_balance with its ledger sum and make sure every journal balances
+const checkBalances = async () => {
+  const [mismatches] = await db.execute(
+    `SELECT u.id AS user_id, u.email, u.wallet_balance, COALESCE(l.balance, 0) AS ledger_balance
+     FROM users u
+     LEFT JOIN (SELECT user_id, SUM(amount) AS balance FROM ledger_entries WHERE user_id IS NOT NULL GROUP BY user_id) l
+       ON l.user_id = u.id
+     WHERE u.wallet_balance <> COALESCE(l.balance, 0)
+     ORDER BY u.id`
+  );
+
+  const [unbalanced] = await db.execute(
+    `SELECT journal_id, SUM(amount) AS total FROM ledger_entries
+     GROUP BY journal_id HAVING SUM(amount) <> 0`
+  );
+
+  const [systemAccounts] = await db.execute(
+    `SELECT account, SUM(amount) AS balance FROM ledger_entries
+     WHERE user_id IS NULL GROUP BY account ORDER BY account`
+  );
+
+  return {
+    balanced: mismatches.length === 0 && unbalanced.length === 0,
+    mismatches: mismatches.map((row) => ({
+      user_id: row.user_id,
+      email: row.email,
+      wallet_balance: parseFloat(row.wallet_balance),
+      ledger_balance: parseFloat(row.ledger_balance),
+      difference: Math.round((parseFloat(row.wallet_balance) - parseFloat(row.ledger_balance)) * 100) / 100
+    })),
+    unbalanced_journals: unbalanced.map((row) => ({ journal_id: row.journal_id, total: parseFloat(row.total) })),
+    system_accounts: systemAccounts.map((row) => ({ account: row.account, balance: parseFloat(row.balance) }))
+  };
+};
+
+module.exports = {
+  ACCOUNTS,
+  userAccount,
+  move,
+  post,
+  isInsufficientFunds,
+  getBalance,
+  getEntries,
+  checkBalances
+};
@@ -0,0 +1,86 @@
+const db = require('../config/database');
+
+// Nigerian numbering plan: normalizes phone numbers and infers the mobile operator from the
+// NCC prefix table. Network keys match the ones the purchase endpoints use.
+const NETWORKS = ['mtn', 'glo', 'airtel', 'etisalat'];
+
+const PREFIXES = {
+  mtn: ['0703', '0704', '0706', '07025', '07026', '0803', '0806', '0810', '0813', '0814', '0816', '0903', '0906', '0913', '0916'],
+  glo: ['0705', '0805', '0807', '0811', '0815', '0905', '0915'],
+  airtel: ['0701', '0708', '0802', '0808', '0812', '0901', '0902', '0904', '0907', '0911', '0912'],
+  etisalat: ['0809', '0817', '0818', '0908', '0909']
+};
+
+const PREFIX_TABLE = Object.entries(PREFIXES).reduce((table, [network, prefixes]) => {
+  prefixes.forEach((prefix) => { table[prefix] = network; });
+  return table;
+}, {});
+
+// "+234 803 123 4567", "2348031234567", "8031234567" -> "08031234567"; null if not a Nigerian mobile
+const normalizePhone = (phone) => {
+  if (phone === undefined || phone === null) return null;
+  let digits = String(phone).replace(/[\s\-().]/g, '');
+
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  if (digits.startsWith('234')) digits = `0${digits.slice(3)}`;
+  if (/^[789]\d{9}$/.test(digits)) digits = `0${digits}`;
+
+  return /^0[789][01]\d{8}$/.test(digits) ? digits : null;
+};
+
+// Longest matching prefix wins, so 07025 (MTN) beats any 0702 entry
+const detectFromPrefix = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return PREFIX_TABLE[normalized.slice(0, 5)] || PREFIX_TABLE[normalized.slice(0, 4)] || null;
+};
+
+// Resolves a number for a user: their ported-number override first, then the prefix table.
+// Returns { phone, network, source } where source is 'override', 'prefix' or null.
+const resolveNetwork = async (userId, phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return { phone: null, network: null, source: null };
+
+  const [overrides] = await db.execute(
+    'SELECT network FROM phone_network_overrides WHERE user_id = ? AND phone_number = ?',
+    [userId, normalized]
+  );
+
+  if (overrides.length > 0) {
+    return { phone: normalized, network: overrides[0].network, source: 'override' };
+  }
+
+  const network = detectFromPrefix(normalized);
+  return { phone: normalized, network, source: network ? 'prefix' : null };
+};
+
+// Work out the network for a purchase from the phone number, honouring the user's ported-number
+// override. A network the client picked that contradicts the lookup is rejected rather than guessed.
+const resolvePurchaseNetwork = async (userId, phone, requestedNetwork) => {
+  const resolved = await resolveNetwork(userId, phone);
+
+  if (!requestedNetwork) {
+    if (!resolved.network) {
+      return { error: 'Could not detect the network for this number. Please select a network.' };
+    }
+    return { phone: resolved.phone, network: resolved.network };
+  }
+
+  if (resolved.network && resolved.network !== requestedNetwork) {
+    return {
+      error: `This number is on ${resolved.network}. If it was ported to ${requestedNetwork}, save a network override for it first.`,
+      detected_network: resolved.network
+    };
+  }
+
+  return { phone: resolved.phone, network: requestedNetwork };
+};
+
+module.exports = {
+  NETWORKS,
+  PREFIXES,
+  normalizePhone,
+  detectFromPrefix,
+  resolveNetwork,
+  resolvePurchaseNetwork
+};
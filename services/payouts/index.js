@@ -0,0 +1,19 @@
+const config = require('../../config/payouts');
+const createPaystackPayouts = require('./paystack');
+
+// Payout provider factories by name; new transfer providers register here
+const factories = {
+  paystack: createPaystackPayouts
+};
+
+const registry = {};
+for (const [name, factory] of Object.entries(factories)) {
+  registry[name] = factory({ name });
+}
+
+// The provider new withdrawals go out through
+const getPayoutProvider = (name = config.provider) => registry[name] || null;
+
+module.exports = {
+  getPayoutProvider
+};
@@ -0,0 +1,77 @@
+const paystack = require('../paystack');
+
+// Paystack implementation of the payout (transfer provider) interface:
+// listBanks, resolveAccount, createRecipient, transfer and parseWebhook. Amounts in are naira.
+
+const TRANSFER_EVENTS = {
+  'transfer.success': 'success',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed'
+};
+
+const createPaystackPayouts = ({ name }) => ({
+  name,
+
+  listBanks: async () => {
+    const response = await paystack.listBanks();
+    if (!response.status) throw new Error(response.message || 'Could not load banks');
+    return response.data
+      .filter((bank) => bank.active !== false)
+      .map((bank) => ({ name: bank.name, code: bank.code }));
+  },
+
+  // Returns { accountName } or { error }
+  resolveAccount: async ({ accountNumber, bankCode }) => {
+    const response = await paystack.resolveAccount({ account_number: accountNumber, bank_code: bankCode });
+    if (!response.status) return { error: 'Could not resolve the account name, check the account number and bank' };
+    return { accountName: response.data.account_name };
+  },
+
+  // Returns { recipientCode } or { error }
+  createRecipient: async ({ name: accountName, accountNumber, bankCode }) => {
+    const response = await paystack.createTransferRecipient({
+      type: 'nuban',
+      name: accountName,
+      account_number: accountNumber,
+      bank_code: bankCode,
+      currency: 'NGN'
+    });
+    if (!response.status) return { error: response.message || 'Could not save the bank account' };
+    return { recipientCode: response.data.recipient_code };
+  },
+
+  // Returns { status: 'processing', transferCode } once Paystack accepts it, or { status: 'failed', error }
+  transfer: async ({ amount, recipientCode, reference, reason }) => {
+    const response = await paystack.initiateTransfer({
+      source: 'balance',
+      amount: Math.round(amount * 100),
+      recipient: recipientCode,
+      reference,
+      reason
+    });
+
+    if (!response.status) {
+      return { status: 'failed', error: response.message || 'Transfer was rejected' };
+    }
+    if (response.data.status === 'otp') {
+      // Transfers need OTP approval on the Paystack dashboard; the webhook follows once approved
+      console.warn(`Payout ${reference} is waiting for OTP approval on Paystack`);
+    }
+    return { status: 'processing', transferCode: response.data.transfer_code };
+  },
+
+  parseWebhook: ({ event, data }) => {
+    if (!TRANSFER_EVENTS[event] || !data) return null;
+
+    return {
+      kind: 'payout',
+      event,
+      eventId: `${event}:${data.id}`,
+      reference: data.reference,
+      status: TRANSFER_EVENTS[event],
+      transferCode: data.transfer_code
+    };
+  }
+});
+
+module.exports = createPaystackPayouts;
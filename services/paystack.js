@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sandbox = require('../config/sandbox');
+const paystackSandbox = require('./sandbox/paystack');
+
+const PAYSTACK_API = 'https://api.paystack.co';
+
+const paystackHeaders = () => ({
+  Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+// The funding calls take { timeout } (ms) from the gateway config
+const fundingRequest = ({ timeout } = {}) => ({
+  headers: paystackHeaders(),
+  ...(timeout && { timeout })
+});
+
+// Returns the Paystack response body ({ status, message, data })
+const initializeTransaction = async (payload, options) => {
+  if (sandbox.enabled) return paystackSandbox.initializeTransaction(payload);
+
+  const response = await axios.post(`${PAYSTACK_API}/transaction/initialize`, payload, fundingRequest(options));
+  return response.data;
+};
+
+const verifyTransaction = async (reference, options) => {
+  if (sandbox.enabled) return paystackSandbox.verifyTransaction(reference);
+
+  const response = await axios.get(`${PAYSTACK_API}/transaction/verify/${reference}`, fundingRequest(options));
+  return response.data;
+};
+
+// Charges a saved card (reusable authorization) without checkout; data is the transaction
+const chargeAuthorization = async (payload, options) => {
+  if (sandbox.enabled) return paystackSandbox.chargeAuthorization(payload);
+
+  try {
+    const response = await axios.post(`${PAYSTACK_API}/transaction/charge_authorization`, payload, fundingRequest(options));
+    return response.data;
+  } catch (error) {
+    // Declined or invalid authorizations are 400s with the usual { status: false, message } body
+    if (error.response?.status === 400) return error.response.data;
+    throw error;
+  }
+};
+
+// Returns the Paystack customer ({ customer_code, ... } in data)
+const createCustomer = async (payload) => {
+  if (sandbox.enabled) return paystackSandbox.createCustomer(payload);
+
+  const response = await axios.post(`${PAYSTACK_API}/customer`, payload, {
+    headers: paystackHeaders()
+  });
+  return response.data;
+};
+
+// Assigns a dedicated virtual account (NUBAN) to a customer; data has the account and bank
+const createDedicatedAccount = async (payload) => {
+  if (sandbox.enabled) return paystackSandbox.createDedicatedAccount(payload);
+
+  const response = await axios.post(`${PAYSTACK_API}/dedicated_account`, payload, {
+    headers: paystackHeaders()
+  });
+  return response.data;
+};
+
+// Nigerian banks that take transfers ({ name, code, slug, ... } in data)
+const listBanks = async () => {
+  if (sandbox.enabled) return paystackSandbox.listBanks();
+
+  const response = await axios.get(`${PAYSTACK_API}/bank`, {
+    headers: paystackHeaders(),
+    params: { country: 'nigeria', currency: 'NGN' }
+  });
+  return response.data;
+};
+
+// Resolves an account number to its account name ({ account_name, account_number } in data)
+const resolveAccount = async ({ account_number, bank_code }) => {
+  if (sandbox.enabled) return paystackSandbox.resolveAccount({ account_number, bank_code });
+
+  try {
+    const response = await axios.get(`${PAYSTACK_API}/bank/resolve`, {
+      headers: paystackHeaders(),
+      params: { account_number, bank_code }
+    });
+    return response.data;
+  } catch (error) {
+    // Unknown accounts come back as 422 with the usual { status: false, message } body
+    if (error.response?.status === 422) return error.response.data;
+    throw error;
+  }
+};
+
+const createTransferRecipient = async (payload) => {
+  if (sandbox.enabled) return paystackSandbox.createTransferRecipient(payload);
+
+  const response = await axios.post(`${PAYSTACK_API}/transferrecipient`, payload, {
+    headers: paystackHeaders()
+  });
+  return response.data;
+};
+
+// Pays out from the Paystack balance; the outcome follows as transfer.* webhooks
+const initiateTransfer = async (payload) => {
+  if (sandbox.enabled) return paystackSandbox.initiateTransfer(payload);
+
+  try {
+    const response = await axios.post(`${PAYSTACK_API}/transfer`, payload, {
+      headers: paystackHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    // Rejected transfers (e.g. insufficient Paystack balance) are 400s with a message
+    if (error.response?.status === 400) return error.response.data;
+    throw error;
+  }
+};
+
+// Paystack signs each webhook with an HMAC-SHA512 of the raw request body under the secret key
+// (the sandbox's key in sandbox mode)
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secretKey = sandbox.enabled ? sandbox.paystackSecretKey : process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey || !rawBody || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(crypto
+    .createHmac('sha512', secretKey)
+    .update(rawBody)
+    .digest('hex'));
+  const received = Buffer.from(signature);
+
+  // Compare byte lengths: timingSafeEqual throws on buffers of different sizes
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  initializeTransaction,
+  verifyTransaction,
+  chargeAuthorization,
+  createCustomer,
+  createDedicatedAccount,
+  listBanks,
+  resolveAccount,
+  createTransferRecipient,
+  initiateTransfer,
+  verifyWebhookSignature
+};
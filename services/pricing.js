@@ -0,0 +1,108 @@
+const config = require('../config/pricing');
+const catalog = require('./catalog');
+
+// Server-side pricing: resolves the provider cost of a purchase and the price the user pays
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const resolveRule = ({ serviceID, network }) => ({
+  ...config.rules.default,
+  ...(config.rules[serviceID] || config.rules[network] || {})
+});
+
+const applyRule = (providerCost, rule) => {
+  const userPrice = round2(providerCost * (1 + (parseFloat(rule.percent) || 0) / 100) + (parseFloat(rule.flat) || 0));
+  return Math.max(userPrice, 0);
+};
+
+// Price a purchase. Fixed-price variations take their cost from the catalog and the client
+// amount must equal the user price; otherwise `amount` is the face value sent to the provider.
+// Products with catalog prices only (data bundles, PINs) pass `fixedPriceOnly`, so a plan
+// without a catalog price is refused rather than priced from the client's amount.
+// Resolves to { providerCost, userPrice, margin, fixedPrice } or { error } for an unknown,
+// disabled or (with fixedPriceOnly) unpriced variation.
+const quote = async ({ serviceID, network, variation_code, amount, fixedPriceOnly = false }) => {
+  let providerCost = parseFloat(amount);
+  let fixedPrice = false;
+
+  if (variation_code) {
+    const variation = await catalog.findVariation(serviceID, variation_code);
+
+    if (!variation) {
+      return { error: 'Invalid variation_code for this service' };
+    }
+    if (!variation.enabled) {
+      return { error: 'This plan is currently unavailable' };
+    }
+
+    if (variation.fixed_price && variation.provider_amount > 0) {
+      providerCost = variation.provider_amount;
+      fixedPrice = true;
+    }
+  }
+
+  if (fixedPriceOnly && !fixedPrice) {
+    return { error: 'This plan is not available for purchase' };
+  }
+
+  const rule = resolveRule({ serviceID, network });
+  const userPrice = applyRule(providerCost, rule);
+
+  return {
+    providerCost: round2(providerCost),
+    userPrice,
+    margin: round2(userPrice - providerCost),
+    fixedPrice,
+    rule
+  };
+};
+
+// True when the client amount matches the computed price to the kobo
+const matchesQuote = (amount, pricing) => !pricing.fixedPrice || Math.abs(parseFloat(amount) - pricing.userPrice) < 0.01;
+
+// Public shape of catalog variations: the price users will be charged, never the provider cost.
+// Flexible variations (e.g. prepaid/postpaid meters) have no fixed price.
+const priceVariations = (serviceID, variations) => {
+  const rule = resolveRule({ serviceID });
+  return variations.map((variation) => ({
+    id: variation.id,
+    variation_code: variation.variation_code,
+    name: variation.name,
+    price: variation.fixed_price && variation.provider_amount > 0 ? applyRule(variation.provider_amount, rule) : null,
+    fixed_price: variation.fixed_price,
+    data_size_mb: variation.data_size_mb,
+    validity_days: variation.validity_days
+  }));
+};
+
+// Pricing as recorded on a delivered purchase, including the provider's commission
+const settledPricing = (pricing, statusResponse) => {
+  const commission = parseFloat(statusResponse?.content?.transactions?.commission) || 0;
+  return {
+    providerCost: pricing.providerCost,
+    userPrice: pricing.userPrice,
+    margin: pricing.margin,
+    provider_commission: commission,
+    total_margin: round2(pricing.margin + commission)
+  };
+};
+
+// Scale a per-unit quote to a quantity (education PINs are priced per card)
+const forQuantity = (pricing, quantity) => ({
+  ...pricing,
+  quantity,
+  unitPrice: pricing.userPrice,
+  providerCost: round2(pricing.providerCost * quantity),
+  userPrice: round2(pricing.userPrice * quantity),
+  margin: round2(pricing.margin * quantity)
+});
+
+module.exports = {
+  settledPricing,
+  quote,
+  forQuantity,
+  matchesQuote,
+  priceVariations,
+  resolveRule,
+  applyRule
+};
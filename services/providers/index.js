@@ -0,0 +1,133 @@
+const config = require('../../config/vtuProviders');
+const createVtpassProvider = require('./vtpass');
+const createSandboxProvider = require('../sandbox/vtpass');
+
+// Provider factories by type; new integrations register here
+const factories = {
+  vtpass: createVtpassProvider,
+  sandbox: createSandboxProvider
+};
+
+const registry = {};
+for (const [name, options] of Object.entries(config.providers)) {
+  if (options.enabled === false) continue;
+  registry[name] = factories[options.type]({ ...options, name, timeout: config.timeout });
+}
+
+const DEFAULT_PROVIDER = config.defaultProvider;
+
+const getProvider = (name) => registry[name || DEFAULT_PROVIDER] || registry[DEFAULT_PROVIDER];
+
+// Ordered, registered providers for a serviceID or network
+const resolveRoute = ({ serviceID, network } = {}) => {
+  const route = config.routes[serviceID] || config.routes[network] || config.routes.default;
+  const names = route.filter((name) => registry[name]);
+  return names.length > 0 ? names : [DEFAULT_PROVIDER];
+};
+
+// Errors where the provider never answered properly: timeouts, network errors and 5xx
+const isUnavailable = (error) => !error.response || error.response.status >= 500;
+
+// Run `call` against each provider on the route until one answers
+const withFailover = async (routeKey, call) => {
+  const names = resolveRoute(routeKey);
+  let lastError;
+
+  for (const name of names) {
+    try {
+      return { provider: name, result: await call(registry[name]) };
+    } catch (error) {
+      lastError = error;
+      if (!isUnavailable(error)) throw error;
+      console.warn(`VTU provider ${name} unavailable (${error.code || error.response?.status || error.message}), trying next`);
+    }
+  }
+
+  throw lastError;
+};
+
+// Place a purchase, failing over to the next provider on the route when the current one
+// is down or out of float. Resolves to { provider, data } for the provider that took the order.
+// Throws the provider's error when the order definitely didn't go through, or an error with
+// code PURCHASE_UNCONFIRMED (and `provider`) when /pay failed and the requery couldn't tell.
+const purchase = async (routeKey, payload) => {
+  const names = resolveRoute(routeKey);
+  let lastError;
+
+  for (const [index, name] of names.entries()) {
+    const provider = registry[name];
+    const hasNext = index < names.length - 1;
+
+    try {
+      const data = await provider.purchase(payload);
+
+      if (hasNext && provider.isProviderFailure(data)) {
+        console.warn(`VTU provider ${name} rejected the purchase (${data.response_description || data.code}), trying next`);
+        continue;
+      }
+
+      return { provider: name, data };
+    } catch (error) {
+      lastError = error;
+      if (!isUnavailable(error)) throw error;
+
+      // A timed out order may still have gone through, so only move on (or give up, on the
+      // last provider) if the provider has no record of it
+      let requeried;
+      try {
+        requeried = await provider.requery(payload.request_id);
+      } catch (requeryError) {
+        // No way to tell whether the order went through: don't buy it again elsewhere
+        console.warn(`VTU provider ${name} requery after failed purchase also failed:`, requeryError.message);
+        const unconfirmed = new Error(`Purchase on ${name} could not be confirmed`);
+        unconfirmed.code = 'PURCHASE_UNCONFIRMED';
+        unconfirmed.provider = name;
+        throw unconfirmed;
+      }
+
+      if (requeried.status !== 'unknown') {
+        return { provider: name, data: requeried.data };
+      }
+      if (!hasNext) throw error;
+
+      console.warn(`VTU provider ${name} purchase failed (${error.code || error.response?.status || error.message}), failing over`);
+    }
+  }
+
+  throw lastError;
+};
+
+// Requery against the provider that took the order
+const requery = (providerName, request_id) => getProvider(providerName).requery(request_id);
+
+const verifyMerchant = async (payload) => {
+  const { result } = await withFailover({ serviceID: payload.serviceID }, (provider) => provider.verifyMerchant(payload));
+  return result;
+};
+
+const getServiceCategories = async () => {
+  const { result } = await withFailover({}, (provider) => provider.getServiceCategories());
+  return result;
+};
+
+const getServices = async (identifier) => {
+  const { result } = await withFailover({}, (provider) => provider.getServices(identifier));
+  return result;
+};
+
+const getVariations = async (serviceID) => {
+  const { result } = await withFailover({ serviceID }, (provider) => provider.getVariations(serviceID));
+  return result;
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  resolveRoute,
+  purchase,
+  requery,
+  verifyMerchant,
+  getServiceCategories,
+  getServices,
+  getVariations
+};
@@ -0,0 +1,71 @@
+const axios = require('axios');
+
+// VTpass implementation of the VTU provider interface:
+// purchase, requery, verifyMerchant and the catalog lookups
+const createVtpassProvider = ({ name, baseURL, apiKey, publicKey, secretKey, timeout }) => {
+  // Axios instance for GET requests
+  const vtpassGet = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      "api-key": apiKey,
+      "public-key": publicKey,
+      "Content-Type": "application/json"
+    }
+  });
+
+  // Axios instance for POST requests
+  const vtpassPost = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      "api-key": apiKey,
+      "secret-key": secretKey,
+      "Content-Type": "application/json"
+    }
+  });
+
+  return {
+    name,
+
+    // Returns the raw /pay response
+    purchase: async (payload) => {
+      const response = await vtpassPost.post("/pay", payload);
+      return response.data;
+    },
+
+    // Returns the VTpass transaction status alongside the raw /requery response
+    requery: async (request_id) => {
+      const response = await vtpassPost.post("/requery", { request_id });
+      return {
+        status: response.data?.content?.transactions?.status || "unknown",
+        data: response.data
+      };
+    },
+
+    verifyMerchant: async (payload) => {
+      const response = await vtpassPost.post("/merchant-verify", payload);
+      return response.data;
+    },
+
+    getServiceCategories: async () => {
+      const response = await vtpassGet.get(`/service-categories`);
+      return response.data;
+    },
+
+    getServices: async (identifier) => {
+      const response = await vtpassGet.get(`/services`, { params: { identifier } });
+      return response.data;
+    },
+
+    getVariations: async (serviceID) => {
+      const response = await vtpassGet.get(`/service-variations`, { params: { serviceID } });
+      return response.data;
+    },
+
+    // VTpass code 018 means our float with them is exhausted; another provider can still fulfil
+    isProviderFailure: (purchaseData) => purchaseData?.code === "018"
+  };
+};
+
+module.exports = createVtpassProvider;
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+const vtuProviders = require('./providers');
+const { PENDING_STATUSES, applyProviderStatus } = require('./vtuSettlement');
+const { noteHold, parseDetails } = require('./walletHolds');
+
+// Background worker that requeries pending VTU purchases until the provider reports a final status
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS) || 60 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000; // 1 minute
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+const MAX_ATTEMPTS = parseInt(process.env.RECONCILE_MAX_ATTEMPTS) || 12;
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+const nextAttemptAt = (attempts) => {
+  const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+  return new Date(Date.now() + delay).toISOString();
+};
+
+const logEntry = (status, note) => ({
+  status,
+  note: note || null,
+  at: new Date().toISOString()
+});
+
+const reconcileTransaction = async (transaction) => {
+  const details = parseDetails(transaction.details);
+  const reconciliation = details.reconciliation || { attempts: 0, seen_by_provider: false, log: [] };
+
+  if (reconciliation.next_attempt_at && new Date(reconciliation.next_attempt_at) > new Date()) {
+    return;
+  }
+
+  const request_id = details.request_id || transaction.reference;
+  reconciliation.attempts += 1;
+
+  let txStatus = 'unknown';
+  try {
+    ({ status: txStatus } = await vtuProviders.requery(transaction.provider, request_id));
+  } catch (error) {
+    console.error(`Reconciliation requery error for ${transaction.reference}:`, error.response?.data || error.message);
+    txStatus = 'requery_error';
+  }
+
+  if (txStatus !== 'unknown' && txStatus !== 'requery_error') {
+    reconciliation.seen_by_provider = true;
+  }
+  reconciliation.last_status = txStatus;
+
+  // Final status from the provider: settle, refund or reverse the hold
+  if (txStatus !== 'unknown' && txStatus !== 'requery_error' && !PENDING_STATUSES.includes(txStatus)) {
+    reconciliation.next_attempt_at = null;
+    reconciliation.log.push(logEntry(txStatus, `Final status after ${reconciliation.attempts} requery attempt(s)`));
+    await applyProviderStatus(transaction.reference, txStatus, { reconciliation });
+    console.log(`Reconciled transaction ${transaction.reference}: ${txStatus}`);
+    return;
+  }
+
+  if (reconciliation.attempts >= MAX_ATTEMPTS) {
+    reconciliation.next_attempt_at = null;
+
+    // The provider never acknowledged the purchase, so it is safe to refund
+    if (!reconciliation.seen_by_provider) {
+      reconciliation.log.push(logEntry('failed', 'No transaction record from provider, releasing hold'));
+      await applyProviderStatus(transaction.reference, 'failed', { reconciliation });
+      console.log(`Reconciliation released ${transaction.reference} after ${reconciliation.attempts} attempts`);
+      return;
+    }
+
+    // Still pending on the provider's side: stop retrying and leave it for manual review
+    reconciliation.exhausted = true;
+    reconciliation.log.push(logEntry(txStatus, 'Retries exhausted, needs manual review'));
+    await noteHold(transaction.reference, 'Reconciliation retries exhausted', { reconciliation });
+    console.warn(`Reconciliation exhausted for ${transaction.reference}, last status: ${txStatus}`);
+    return;
+  }
+
+  reconciliation.next_attempt_at = nextAttemptAt(reconciliation.attempts);
+  reconciliation.log.push(logEntry(txStatus, `Retry ${reconciliation.attempts} scheduled for ${reconciliation.next_attempt_at}`));
+  await noteHold(transaction.reference, `Reconciliation attempt ${reconciliation.attempts}: ${txStatus}`, { reconciliation });
+};
+
+const runReconciliation = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    // Oldest-touched first so rows waiting on backoff don't starve the rest
+    const [transactions] = await db.execute(
+      `SELECT id, reference, provider, details FROM transactions
+       WHERE status IN ('pending', 'processing')
+         AND type IN ('airtime', 'data', 'bill')
+         AND created_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)
+         AND JSON_EXTRACT(details, '$.reconciliation.exhausted') IS NULL
+       ORDER BY updated_at ASC
+       LIMIT ${BATCH_SIZE}`
+    );
+
+    for (const transaction of transactions) {
+      try {
+        await reconcileTransaction(transaction);
+      } catch (error) {
+        console.error(`Reconciliation error for ${transaction.reference}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Reconciliation run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startReconciliationWorker = () => {
+  if (timer) return;
+  timer = setInterval(runReconciliation, RECONCILE_INTERVAL_MS);
+  console.log(`🔁 VTU reconciliation worker running every ${RECONCILE_INTERVAL_MS / 1000}s`);
+};
+
+const stopReconciliationWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runReconciliation,
+  startReconciliationWorker,
+  stopReconciliationWorker
+};
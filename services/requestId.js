@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Generate request ID in the format YYYYMMDDHHII + random alphanumeric string
+const generateRequestId = () => {
+  // Get current date in Africa/Lagos timezone (GMT +1)
+  const now = new Date();
+  const lagosTime = new Date(now.getTime() + (1 * 60 * 60 * 1000)); // Add 1 hour for GMT+1
+
+  // Format to YYYYMMDDHHII
+  const year = lagosTime.getUTCFullYear();
+  const month = String(lagosTime.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(lagosTime.getUTCDate()).padStart(2, '0');
+  const hours = String(lagosTime.getUTCHours()).padStart(2, '0');
+  const minutes = String(lagosTime.getUTCMinutes()).padStart(2, '0');
+  const dateString = `${year}${month}${day}${hours}${minutes}`;
+
+  // Generate random alphanumeric string (8 characters for uniqueness)
+  const randomString = crypto.randomBytes(4).toString('hex'); // 8 characters
+
+  // Concatenate: first 12 numeric (date), then random string
+  return `${dateString}${randomString}`;
+};
+
+module.exports = generateRequestId;
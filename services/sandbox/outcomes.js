@@ -0,0 +1,48 @@
+// Magic values that force a simulated outcome. A phone number or billersCode ending in one
+// of the suffixes, or one of the exact amounts, picks the outcome; anything else succeeds.
+const VTU_SUFFIXES = {
+  '0001': 'pending',
+  '0002': 'failed',
+  '0003': 'reversed',
+  '0004': 'timeout'
+};
+
+const VTU_AMOUNTS = {
+  111: 'pending',
+  222: 'failed',
+  333: 'reversed'
+};
+
+const FUNDING_AMOUNTS = {
+  1111: 'failed',
+  2222: 'abandoned'
+};
+
+const PAYOUT_AMOUNTS = {
+  1111: 'failed',
+  2222: 'reversed'
+};
+
+const vtuOutcome = ({ phone, billersCode, amount }) => {
+  for (const value of [phone, billersCode]) {
+    const suffix = value ? String(value).slice(-4) : null;
+    if (suffix && VTU_SUFFIXES[suffix]) return VTU_SUFFIXES[suffix];
+  }
+  return VTU_AMOUNTS[parseFloat(amount)] || 'delivered';
+};
+
+// Amount is in naira
+const fundingOutcome = (amount) => FUNDING_AMOUNTS[parseFloat(amount)] || 'success';
+
+// Amount is in naira
+const payoutOutcome = (amount) => PAYOUT_AMOUNTS[parseFloat(amount)] || 'success';
+
+module.exports = {
+  VTU_SUFFIXES,
+  VTU_AMOUNTS,
+  FUNDING_AMOUNTS,
+  PAYOUT_AMOUNTS,
+  vtuOutcome,
+  fundingOutcome,
+  payoutOutcome
+};
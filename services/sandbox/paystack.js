@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sandbox = require('../../config/sandbox');
+const { fundingOutcome, payoutOutcome } = require('./outcomes');
+
+// Simulated Paystack checkout. Payments wait on the sandbox checkout page, which settles
+// them by magic amount and delivers a signed charge.success webhook like Paystack does.
+// Dedicated virtual accounts are simulated too; sendTransfer pays into one. Payouts to banks
+// succeed, fail or get reversed by magic amount, reported by transfer.* webhooks. Each email
+// pays with one reusable test card, which chargeAuthorization charges again.
+
+const payments = new Map();
+const customers = new Map();
+const cards = new Map();
+
+const cardFor = (email) => {
+  if (!cards.has(email)) {
+    cards.set(email, {
+      authorization_code: `AUTH_sandbox${crypto.randomBytes(6).toString('hex')}`,
+      bin: '408408',
+      last4: '4081',
+      exp_month: '12',
+      exp_year: '2030',
+      channel: 'card',
+      card_type: 'visa',
+      bank: 'TEST BANK',
+      country_code: 'NG',
+      brand: 'visa',
+      reusable: true,
+      signature: `SIG_sandbox${crypto.createHash('sha256').update(email).digest('hex').slice(0, 12)}`
+    });
+  }
+  return cards.get(email);
+};
+
+const paymentPayload = (payment) => ({
+  id: payment.id,
+  domain: 'test',
+  status: payment.status,
+  reference: payment.reference,
+  amount: payment.amount,
+  currency: 'NGN',
+  channel: 'card',
+  gateway_response: payment.status === 'success' ? 'Successful' : 'Declined',
+  paid_at: payment.paid_at,
+  customer: { email: payment.email },
+  authorization: payment.status === 'success' ? cardFor(payment.email) : undefined,
+  metadata: payment.metadata
+});
+
+const deliverWebhook = async (data, event = 'charge.success') => {
+  const body = JSON.stringify({ event, data });
+  const signature = crypto
+    .createHmac('sha512', sandbox.paystackSecretKey)
+    .update(body)
+    .digest('hex');
+
+  try {
+    await axios.post(`${sandbox.baseUrl}/api/wallet/webhook/paystack`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-paystack-signature': signature
+      }
+    });
+  } catch (error) {
+    console.warn(`Sandbox Paystack webhook for ${data.reference} failed:`, error.response?.status || error.message);
+  }
+};
+
+const initializeTransaction = async ({ amount, email, reference, callback_url, metadata }) => {
+  payments.set(reference, {
+    id: crypto.randomInt(100000000, 999999999),
+    reference,
+    amount,
+    email,
+    callback_url,
+    metadata,
+    // Paystack reports unpaid checkouts as abandoned
+    status: 'abandoned',
+    paid_at: null
+  });
+
+  return {
+    status: true,
+    message: 'Authorization URL created',
+    data: {
+      authorization_url: `${sandbox.baseUrl}/api/sandbox/paystack/checkout/${reference}`,
+      access_code: crypto.randomBytes(8).toString('hex'),
+      reference
+    }
+  };
+};
+
+const verifyTransaction = async (reference) => {
+  const payment = payments.get(reference);
+  if (!payment) {
+    return { status: false, message: 'Transaction reference not found' };
+  }
+  return { status: true, message: 'Verification successful', data: paymentPayload(payment) };
+};
+
+// Pay (or fail) the checkout and return where the customer should be redirected
+const completeCheckout = async (reference, forcedOutcome) => {
+  const payment = payments.get(reference);
+  if (!payment) return null;
+
+  if (payment.status === 'abandoned') {
+    payment.status = forcedOutcome || fundingOutcome(payment.amount / 100);
+    if (payment.status === 'success') {
+      payment.paid_at = new Date().toISOString();
+      await deliverWebhook(paymentPayload(payment));
+    }
+  }
+
+  const separator = payment.callback_url.includes('?') ? '&' : '?';
+  return `${payment.callback_url}${separator}trxref=${reference}&reference=${reference}`;
+};
+
+// Charge the test card again without checkout; magic funding amounts decline it
+const chargeAuthorization = async ({ authorization_code, email, amount, reference }) => {
+  const card = cards.get(email);
+  if (!card || card.authorization_code !== authorization_code) {
+    return { status: false, message: 'Invalid authorization code' };
+  }
+
+  const outcome = fundingOutcome(amount / 100);
+  const payment = {
+    id: crypto.randomInt(100000000, 999999999),
+    reference,
+    amount,
+    email,
+    metadata: {},
+    status: outcome === 'success' ? 'success' : 'failed',
+    paid_at: outcome === 'success' ? new Date().toISOString() : null
+  };
+  payments.set(reference, payment);
+
+  if (payment.status === 'success') {
+    const timer = setTimeout(() => deliverWebhook(paymentPayload(payment)), 1000);
+    timer.unref();
+  }
+
+  return { status: true, message: 'Charge attempted', data: paymentPayload(payment) };
+};
+
+const createCustomer = async ({ email, first_name, last_name, phone }) => {
+  const customer = customers.get(email) || {
+    id: crypto.randomInt(100000000, 999999999),
+    customer_code: `CUS_sandbox${crypto.randomBytes(6).toString('hex')}`,
+    email,
+    first_name,
+    last_name,
+    phone
+  };
+  customers.set(email, customer);
+  return { status: true, message: 'Customer created', data: customer };
+};
+
+const createDedicatedAccount = async ({ customer: customerCode }) => {
+  const customer = [...customers.values()].find((entry) => entry.customer_code === customerCode);
+  if (!customer) {
+    return { status: false, message: 'Customer not found' };
+  }
+
+  // Same customer, same account, like Paystack
+  customer.account = customer.account || {
+    id: crypto.randomInt(100000, 999999),
+    account_number: String(crypto.randomInt(1000000000, 9999999999)),
+    account_name: `ZIPPY/${customer.first_name} ${customer.last_name}`.toUpperCase(),
+    bank: { id: 20, name: 'Sandbox Bank', slug: 'test-bank' },
+    assigned: true,
+    currency: 'NGN',
+    active: true
+  };
+  return { status: true, message: 'NUBAN successfully created', data: customer.account };
+};
+
+// Simulate an inbound transfer into a dedicated account; amount is in naira
+const sendTransfer = async ({ account_number, amount, sender_name, sender_bank }) => {
+  const reference = `SANDBOX_TRF_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  await deliverWebhook({
+    id: crypto.randomInt(100000000, 999999999),
+    domain: 'test',
+    status: 'success',
+    reference,
+    amount: Math.round(amount * 100),
+    currency: 'NGN',
+    channel: 'dedicated_nuban',
+    gateway_response: 'Approved',
+    paid_at: new Date().toISOString(),
+    authorization: {
+      channel: 'dedicated_nuban',
+      sender_bank: sender_bank || 'Sandbox Sender Bank',
+      sender_bank_account_number: 'XXXXXX0001',
+      sender_name: sender_name || 'Sandbox Sender',
+      receiver_bank_account_number: account_number,
+      receiver_bank: 'Sandbox Bank'
+    }
+  });
+
+  return reference;
+};
+
+const SANDBOX_BANKS = [
+  { id: 1, name: 'Access Bank', code: '044', slug: 'access-bank' },
+  { id: 2, name: 'Guaranty Trust Bank', code: '058', slug: 'guaranty-trust-bank' },
+  { id: 3, name: 'Zenith Bank', code: '057', slug: 'zenith-bank' },
+  { id: 4, name: 'Sandbox Bank', code: '999', slug: 'test-bank' }
+];
+
+const listBanks = async () => ({ status: true, message: 'Banks retrieved', data: SANDBOX_BANKS });
+
+// Any 10-digit account at a sandbox bank resolves; account numbers ending 0000 don't exist
+const resolveAccount = async ({ account_number, bank_code }) => {
+  const bank = SANDBOX_BANKS.find((entry) => entry.code === bank_code);
+  if (!bank || !/^\d{10}$/.test(account_number) || account_number.endsWith('0000')) {
+    return { status: false, message: 'Could not resolve account name. Check parameters or try again.' };
+  }
+  return {
+    status: true,
+    message: 'Account number resolved',
+    data: { account_number, account_name: `SANDBOX CUSTOMER ${account_number.slice(-4)}`, bank_id: bank.id }
+  };
+};
+
+const createTransferRecipient = async ({ name, account_number, bank_code }) => ({
+  status: true,
+  message: 'Transfer recipient created successfully',
+  data: {
+    recipient_code: `RCP_sandbox${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    details: { account_number, bank_code }
+  }
+});
+
+const transferPayload = (transfer, status) => ({
+  id: transfer.id,
+  domain: 'test',
+  amount: transfer.amount,
+  currency: 'NGN',
+  reference: transfer.reference,
+  transfer_code: transfer.transfer_code,
+  recipient: { recipient_code: transfer.recipient },
+  reason: transfer.reason,
+  status
+});
+
+// Report the payout's outcome shortly after it is accepted, like Paystack's transfer webhooks
+const settleTransfer = (transfer) => {
+  const outcome = payoutOutcome(transfer.amount / 100);
+  const event = outcome === 'failed' ? 'transfer.failed' : 'transfer.success';
+
+  const timer = setTimeout(async () => {
+    await deliverWebhook(transferPayload(transfer, outcome === 'failed' ? 'failed' : 'success'), event);
+
+    if (outcome === 'reversed') {
+      const reversal = setTimeout(() => deliverWebhook(transferPayload(transfer, 'reversed'), 'transfer.reversed'), sandbox.settleDelayMs);
+      reversal.unref();
+    }
+  }, 2000);
+  timer.unref();
+};
+
+const initiateTransfer = async ({ amount, recipient, reference, reason }) => {
+  const transfer = {
+    id: crypto.randomInt(100000000, 999999999),
+    transfer_code: `TRF_sandbox${crypto.randomBytes(6).toString('hex')}`,
+    amount,
+    recipient,
+    reference,
+    reason
+  };
+
+  settleTransfer(transfer);
+  return { status: true, message: 'Transfer has been queued', data: transferPayload(transfer, 'pending') };
+};
+
+module.exports = {
+  initializeTransaction,
+  verifyTransaction,
+  completeCheckout,
+  chargeAuthorization,
+  createCustomer,
+  createDedicatedAccount,
+  sendTransfer,
+  listBanks,
+  resolveAccount,
+  createTransferRecipient,
+  initiateTransfer
+};
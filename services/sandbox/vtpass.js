@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sandbox = require('../../config/sandbox');
+const { vtuOutcome } = require('./outcomes');
+
+// Simulated VTpass that implements the VTU provider interface in memory.
+// Responses mirror the VTpass payload shapes the routes already read.
+
+const transactions = new Map();
+
+const SERVICE_CATEGORIES = [
+  { identifier: 'airtime', name: 'Airtime Recharge' },
+  { identifier: 'data', name: 'Data Services' },
+  { identifier: 'tv-subscription', name: 'TV Subscription' },
+  { identifier: 'electricity-bill', name: 'Electricity Bill' },
+  { identifier: 'education', name: 'Education' }
+];
+
+const DISCOS = [
+  'ikeja-electric', 'eko-electric', 'abuja-electric', 'portharcourt-electric', 'jos-electric', 'kano-electric',
+  'kaduna-electric', 'ibadan-electric', 'enugu-electric', 'benin-electric', 'aba-electric', 'yola-electric'
+];
+
+const SERVICES = {
+  airtime: ['mtn', 'glo', 'airtel', 'etisalat'].map((serviceID) => ({
+    serviceID, name: `${serviceID.toUpperCase()} Airtime VTU`, minimium_amount: '50', maximum_amount: '50000', convinience_fee: '0 %', product_type: 'flexible'
+  })),
+  data: ['mtn-data', 'glo-data', 'airtel-data', 'etisalat-data'].map((serviceID) => ({
+    serviceID, name: `${serviceID.split('-')[0].toUpperCase()} Data`, minimium_amount: '50', maximum_amount: '500000', convinience_fee: 'N0.00', product_type: 'fix'
+  })),
+  'tv-subscription': ['dstv', 'gotv', 'showmax'].map((serviceID) => ({
+    serviceID, name: `${serviceID.toUpperCase()} Subscription`, minimium_amount: '1', maximum_amount: '1000000', convinience_fee: 'N0.00', product_type: 'fix'
+  })),
+  'electricity-bill': DISCOS.map((serviceID) => ({
+    serviceID, name: `${serviceID.split('-')[0]} Electricity`, minimium_amount: '500', maximum_amount: '500000', convinience_fee: 'N0.00', product_type: 'flexible'
+  })),
+  education: ['waec', 'waec-registration', 'neco', 'jamb'].map((serviceID) => ({
+    serviceID, name: `${serviceID.toUpperCase()} PIN`, minimium_amount: '1', maximum_amount: '100000', convinience_fee: 'N0.00', product_type: 'fix'
+  }))
+};
+
+const dataVariations = (network) => [
+  { variation_code: `${network}-100`, name: `${network.toUpperCase()} Data 100MB - 1 Day`, variation_amount: '100.00', fixedPrice: 'Yes' },
+  { variation_code: `${network}-1gb`, name: `${network.toUpperCase()} Data 1GB - 30 days`, variation_amount: '1000.00', fixedPrice: 'Yes' },
+  { variation_code: `${network}-5gb`, name: `${network.toUpperCase()} Data 5GB - 30 days`, variation_amount: '3500.00', fixedPrice: 'Yes' }
+];
+
+const meterVariations = [
+  { variation_code: 'prepaid', name: 'Prepaid', variation_amount: '0', fixedPrice: 'No' },
+  { variation_code: 'postpaid', name: 'Postpaid', variation_amount: '0', fixedPrice: 'No' }
+];
+
+const VARIATIONS = {
+  'mtn-data': dataVariations('mtn'),
+  'glo-data': dataVariations('glo'),
+  'airtel-data': dataVariations('airtel'),
+  'etisalat-data': dataVariations('etisalat'),
+  dstv: [
+    { variation_code: 'dstv-padi', name: 'DStv Padi N2,950', variation_amount: '2950.00', fixedPrice: 'Yes' },
+    { variation_code: 'dstv-yanga', name: 'DStv Yanga N4,200', variation_amount: '4200.00', fixedPrice: 'Yes' },
+    { variation_code: 'dstv-compact', name: 'DStv Compact N12,500', variation_amount: '12500.00', fixedPrice: 'Yes' }
+  ],
+  gotv: [
+    { variation_code: 'gotv-smallie', name: 'GOtv Smallie N1,575', variation_amount: '1575.00', fixedPrice: 'Yes' },
+    { variation_code: 'gotv-jinja', name: 'GOtv Jinja N3,300', variation_amount: '3300.00', fixedPrice: 'Yes' },
+    { variation_code: 'gotv-max', name: 'GOtv Max N8,500', variation_amount: '8500.00', fixedPrice: 'Yes' }
+  ],
+  showmax: [
+    { variation_code: 'showmax-mobile', name: 'Showmax Mobile N1,450', variation_amount: '1450.00', fixedPrice: 'Yes' }
+  ],
+  ...Object.fromEntries(DISCOS.map((serviceID) => [serviceID, meterVariations])),
+  waec: [
+    { variation_code: 'waecdirect', name: 'WAEC Result Checker PIN', variation_amount: '3900.00', fixedPrice: 'Yes' }
+  ],
+  'waec-registration': [
+    { variation_code: 'waec-registraion', name: 'WAEC Registration PIN', variation_amount: '18000.00', fixedPrice: 'Yes' }
+  ],
+  neco: [
+    { variation_code: 'neco-result', name: 'NECO Result Checker Token', variation_amount: '1300.00', fixedPrice: 'Yes' }
+  ],
+  jamb: [
+    { variation_code: 'utme-mock', name: 'UTME PIN (with mock)', variation_amount: '7700.00', fixedPrice: 'Yes' },
+    { variation_code: 'utme-no-mock', name: 'UTME PIN (without mock)', variation_amount: '6200.00', fixedPrice: 'Yes' },
+    { variation_code: 'de', name: 'Direct Entry (DE)', variation_amount: '6200.00', fixedPrice: 'Yes' }
+  ]
+};
+
+const randomDigits = (length) => Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+
+// PINs in the shape VTpass returns for each education product
+const educationPins = (serviceID, quantity) => {
+  if (serviceID === 'jamb') {
+    return { Pin: `Pin : ${randomDigits(16)}` };
+  }
+  if (serviceID === 'waec-registration' || serviceID === 'neco') {
+    return { tokens: Array.from({ length: quantity }, () => randomDigits(12)) };
+  }
+  return { cards: Array.from({ length: quantity }, () => ({ Serial: `WRN${randomDigits(9)}`, Pin: randomDigits(12) })) };
+};
+
+// Simulated outcomes play out over time: pending becomes delivered, reversed starts as delivered
+const currentStatus = (transaction) => {
+  const settled = Date.now() - transaction.created_at >= sandbox.settleDelayMs;
+  if (transaction.outcome === 'pending') return settled ? 'delivered' : 'pending';
+  if (transaction.outcome === 'reversed') return settled ? 'reversed' : 'delivered';
+  return transaction.outcome;
+};
+
+const transactionPayload = (transaction) => {
+  const status = currentStatus(transaction);
+  const isElectricity = /-electric$/.test(transaction.payload.serviceID);
+  const token = isElectricity && transaction.payload.variation_code === 'prepaid' && status === 'delivered'
+    ? transaction.token
+    : undefined;
+
+  return {
+    code: status === 'failed' ? '016' : '000',
+    content: {
+      transactions: {
+        status,
+        product_name: transaction.payload.serviceID,
+        unique_element: transaction.payload.billersCode || transaction.payload.phone,
+        unit_price: transaction.amount,
+        quantity: 1,
+        type: 'Sandbox',
+        transactionId: transaction.transactionId,
+        amount: transaction.amount,
+        commission: 0
+      }
+    },
+    response_description: status === 'failed' ? 'TRANSACTION FAILED' : 'TRANSACTION SUCCESSFUL',
+    requestId: transaction.payload.request_id,
+    amount: transaction.amount,
+    transaction_date: new Date(transaction.created_at).toISOString(),
+    purchased_code: token ? `Token : ${token}` : '',
+    ...(token && { Token: token, mainToken: token, units: '25.3 kWh' }),
+    ...(status === 'delivered' && transaction.pins)
+  };
+};
+
+// Push a VTpass-style transaction-update callback to this server
+const pushCallback = (transaction) => {
+  const timer = setTimeout(async () => {
+    try {
+      await axios.post(`${sandbox.baseUrl}/api/vtu/callback`, {
+        type: 'transaction-update',
+        data: transactionPayload(transaction)
+      }, {
+        params: { token: process.env.VTPASS_CALLBACK_SECRET }
+      });
+    } catch (error) {
+      console.warn(`Sandbox VTpass callback for ${transaction.payload.request_id} failed:`, error.response?.status || error.message);
+    }
+  }, sandbox.settleDelayMs);
+  timer.unref();
+};
+
+const createSandboxProvider = ({ name }) => ({
+  name,
+
+  purchase: async (payload) => {
+    const outcome = vtuOutcome(payload);
+
+    if (outcome === 'timeout') {
+      const error = new Error(`timeout of 30000ms exceeded`);
+      error.code = 'ECONNABORTED';
+      throw error;
+    }
+
+    const variation = (VARIATIONS[payload.serviceID] || []).find((v) => v.variation_code === payload.variation_code);
+    const transaction = {
+      payload,
+      outcome,
+      amount: parseFloat(payload.amount || variation?.variation_amount || 0),
+      transactionId: `SANDBOX${Date.now()}${crypto.randomBytes(2).toString('hex')}`,
+      token: Array.from({ length: 5 }, () => crypto.randomInt(1000, 9999)).join('-'),
+      pins: SERVICES.education.some((service) => service.serviceID === payload.serviceID)
+        ? educationPins(payload.serviceID, parseInt(payload.quantity) || 1)
+        : null,
+      created_at: Date.now()
+    };
+    transactions.set(payload.request_id, transaction);
+
+    if (outcome === 'pending' || outcome === 'reversed') {
+      pushCallback(transaction);
+    }
+
+    return transactionPayload(transaction);
+  },
+
+  requery: async (request_id) => {
+    const transaction = transactions.get(request_id);
+    if (!transaction) {
+      return {
+        status: 'unknown',
+        data: { code: '015', response_description: 'INVALID REQUEST ID', content: { error: 'Request ID not found' } }
+      };
+    }
+    const data = transactionPayload(transaction);
+    return { status: data.content.transactions.status, data };
+  },
+
+  verifyMerchant: async ({ serviceID, billersCode, type }) => {
+    if (vtuOutcome({ billersCode }) === 'failed') {
+      return {
+        code: '000',
+        content: { error: 'This account number is invalid. Please check and try again.', WrongBillersCode: true }
+      };
+    }
+
+    if (serviceID === 'jamb') {
+      return {
+        code: '000',
+        content: { Customer_Name: 'SANDBOX JAMB CANDIDATE', WrongBillersCode: false }
+      };
+    }
+
+    if (/-electric$/.test(serviceID)) {
+      return {
+        code: '000',
+        content: {
+          Customer_Name: 'SANDBOX METER CUSTOMER',
+          Address: '1 Sandbox Close, Lagos',
+          Meter_Number: billersCode,
+          Customer_Arrears: '0.00',
+          Minimum_Amount: 500,
+          Min_Purchase_Amount: 500,
+          Customer_Account_Type: 'NMD',
+          Meter_Type: (type || 'prepaid').toUpperCase(),
+          WrongBillersCode: false
+        }
+      };
+    }
+
+    return {
+      code: '000',
+      content: {
+        Customer_Name: 'SANDBOX TV CUSTOMER',
+        Status: 'ACTIVE',
+        Due_Date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        Customer_Number: billersCode,
+        Customer_Type: serviceID.toUpperCase(),
+        Current_Bouquet: serviceID === 'gotv' ? 'GOtv Jinja N3,300' : 'DStv Compact N12,500',
+        Renewal_Amount: serviceID === 'gotv' ? 3300 : 12500,
+        WrongBillersCode: false
+      }
+    };
+  },
+
+  getServiceCategories: async () => ({
+    response_description: '000',
+    content: SERVICE_CATEGORIES
+  }),
+
+  getServices: async (identifier) => ({
+    response_description: '000',
+    content: SERVICES[identifier] || []
+  }),
+
+  getVariations: async (serviceID) => ({
+    response_description: '000',
+    content: {
+      ServiceName: serviceID,
+      serviceID,
+      convinience_fee: 'N0.00',
+      variations: VARIATIONS[serviceID] || []
+    }
+  }),
+
+  isProviderFailure: () => false
+});
+
+module.exports = createSandboxProvider;
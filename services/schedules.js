@@ -0,0 +1,279 @@
+const db = require('../config/database');
+const sendEmail = require('./sendEmail');
+const pricingEngine = require('./pricing');
+const { DATA_SERVICES, purchaseAirtime, purchaseData, payBill } = require('./vtuPurchase');
+const { resolvePurchaseNetwork } = require('./numberingPlan');
+const billers = require('./billers');
+const { parseDetails } = require('./walletHolds');
+
+// Scheduled and recurring airtime, data and bill purchases. A worker picks up due schedules,
+// runs them through the normal purchase flow and emails the user the outcome. Schedules pause
+// themselves when the wallet can't cover the purchase and stay paused until the user resumes them.
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.SCHEDULE_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 50;
+
+const TYPES = ['airtime', 'data', 'bill'];
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+let timer = null;
+let running = false;
+
+// ---- Timing ----
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// One period on from `from`. Monthly runs keep to the day they started on (the 31st runs
+// on the last day of shorter months and returns to the 31st afterwards).
+const advance = (from, frequency, anchorDay) => {
+  const next = new Date(from);
+
+  if (frequency === 'daily') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    next.setUTCDate(Math.min(anchorDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+  }
+
+  return next;
+};
+
+// The first run time after now, skipping any periods missed while paused or down
+const nextRunAfter = (scheduledAt, frequency, anchorDay, now = new Date()) => {
+  if (frequency === 'once') return null;
+
+  let next = advance(scheduledAt, frequency, anchorDay);
+  while (next <= now) {
+    next = advance(next, frequency, anchorDay);
+  }
+  return next;
+};
+
+// ---- Purchase details ----
+
+// Validate and normalise what a schedule will buy. Returns { payload, label } or { error }.
+const buildPayload = async (userId, type, input) => {
+  if (type === 'airtime' || type === 'data') {
+    const resolved = await resolvePurchaseNetwork(userId, input.phone, input.network);
+    if (resolved.error) return { error: resolved.error };
+    const { network, phone } = resolved;
+
+    const amount = parseFloat(input.amount);
+
+    if (type === 'airtime') {
+      if (!(amount >= 50 && amount <= 50000)) {
+        return { error: 'Airtime amount must be between 50 and 50000' };
+      }
+      return { payload: { network, phone, amount }, label: `${network.toUpperCase()} airtime ₦${amount} for ${phone}` };
+    }
+
+    if (!input.variation_code) {
+      return { error: 'variation_code is required for data' };
+    }
+
+    const pricing = await pricingEngine.quote({ serviceID: DATA_SERVICES[network], network, variation_code: input.variation_code, amount, fixedPriceOnly: true });
+    if (pricing.error) return { error: pricing.error };
+    if (!pricingEngine.matchesQuote(amount, pricing)) {
+      return { error: 'Amount does not match the current price', expected_amount: pricing.userPrice };
+    }
+
+    return { payload: { network, phone, variation_code: input.variation_code, amount }, label: `${network.toUpperCase()} data ${input.variation_code} for ${phone}` };
+  }
+
+  const validated = await billers.validateBill(input, { verification: false });
+  if (validated.errors) {
+    return { error: validated.errors[0].msg };
+  }
+  const { biller, input: bill } = validated;
+
+  const amount = parseFloat(bill.amount);
+  const pricing = await pricingEngine.quote({ serviceID: bill.serviceID, variation_code: bill.variation_code, amount });
+  if (pricing.error) return { error: pricing.error };
+  if (!pricingEngine.matchesQuote(amount, pricing)) {
+    return { error: 'Amount does not match the current price', expected_amount: pricing.userPrice };
+  }
+
+  const payload = {
+    serviceID: bill.serviceID,
+    billersCode: bill.billersCode,
+    amount,
+    ...(bill.variation_code && { variation_code: bill.variation_code }),
+    ...(bill.phone && { phone: bill.phone }),
+    ...(bill.subscription_type && { subscription_type: bill.subscription_type })
+  };
+
+  return { payload, label: `${biller.name} ${bill.variation_code || ''} for ${bill.billersCode}`.replace(/\s+/g, ' ') };
+};
+
+const formatSchedule = (schedule) => ({
+  id: schedule.id,
+  type: schedule.type,
+  label: schedule.label,
+  frequency: schedule.frequency,
+  details: parseDetails(schedule.payload),
+  status: schedule.status,
+  pause_reason: schedule.pause_reason,
+  next_run_at: schedule.next_run_at,
+  last_run_at: schedule.last_run_at,
+  last_status: schedule.last_status,
+  last_reference: schedule.last_reference,
+  run_count: schedule.run_count,
+  created_at: schedule.created_at,
+  updated_at: schedule.updated_at
+});
+
+// ---- Running ----
+
+const notifyOutcome = async (schedule, outcome) => {
+  try {
+    const [users] = await db.execute('SELECT full_name, email FROM users WHERE id = ?', [schedule.user_id]);
+    if (users.length === 0) return;
+    const user = users[0];
+
+    const headings = {
+      success: 'Scheduled Purchase Successful',
+      pending: 'Scheduled Purchase Processing',
+      failed: 'Scheduled Purchase Failed',
+      paused: 'Scheduled Purchase Paused'
+    };
+    const subject = `${headings[outcome.status]} - Zippy Pay`;
+    const nextRun = schedule.status === 'active' && schedule.next_run_at
+      ? `<p>Next run: ${new Date(schedule.next_run_at).toUTCString()}</p>`
+      : '';
+
+    const message = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #5C2D91;">${headings[outcome.status]}</h2>
+          <p>Hello ${user.full_name},</p>
+          <p>Your scheduled purchase <strong>${schedule.label}</strong> ran on ${new Date().toUTCString()}.</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;">Status: <strong>${outcome.status}</strong></p>
+            ${outcome.reference ? `<p style="margin: 10px 0 0 0;">Reference: ${outcome.reference}</p>` : ''}
+            ${outcome.message ? `<p style="margin: 10px 0 0 0;">${outcome.message}</p>` : ''}
+          </div>
+          ${nextRun}
+          <p>You can view, edit or cancel your schedules in the app.</p>
+          <p>Best regards,<br>Zippy Pay Team</p>
+        </div>
+      `;
+
+    await sendEmail(user.email, subject, message);
+  } catch (error) {
+    console.error(`Schedule ${schedule.id} email error:`, error.message);
+  }
+};
+
+const purchase = (schedule) => {
+  const payload = parseDetails(schedule.payload);
+  const request = { userId: schedule.user_id, ...payload, extraDetails: { schedule_id: schedule.id } };
+
+  if (schedule.type === 'airtime') return purchaseAirtime(request);
+  if (schedule.type === 'data') return purchaseData(request);
+  // Nobody is there to verify at run time, so the smartcard/meter is checked with the provider
+  return payBill({ ...request, verification: 'provider' });
+};
+
+const runSchedule = async (schedule) => {
+  const nextRunAt = nextRunAfter(schedule.next_run_at, schedule.frequency, schedule.anchor_day);
+
+  // Claim the run by moving next_run_at on; another instance that got here first wins
+  const [claim] = await db.execute(
+    `UPDATE purchase_schedules SET next_run_at = ?, last_run_at = NOW()
+     WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+    [nextRunAt, schedule.id, schedule.next_run_at]
+  );
+  if (claim.affectedRows === 0) return;
+
+  let outcome;
+  try {
+    const { body, reference } = await purchase(schedule);
+
+    if (!reference && body.error === 'Insufficient wallet balance') {
+      outcome = { status: 'paused', message: 'Your wallet balance was too low. Fund your wallet and resume the schedule.' };
+    } else if (!reference) {
+      outcome = { status: 'failed', message: body.error };
+    } else if (body.status === 'success') {
+      outcome = { status: 'success', reference, message: body.token ? `Token: ${body.token}` : null };
+    } else if (body.status === 'pending' || !body.status) {
+      outcome = { status: 'pending', reference, message: 'The provider is still processing this purchase.' };
+    } else {
+      outcome = { status: 'failed', reference, message: body.error || 'The provider could not complete this purchase. Your wallet has been refunded.' };
+    }
+  } catch (error) {
+    console.error(`Schedule ${schedule.id} purchase error:`, error.response?.data || error.message);
+    outcome = { status: 'failed', message: 'The purchase could not be completed. Your wallet has been refunded.' };
+  }
+
+  // Insufficient balance pauses the schedule; a one-off that ran is done
+  let status = schedule.frequency === 'once' ? 'completed' : 'active';
+  if (outcome.status === 'paused') status = 'paused';
+
+  await db.execute(
+    `UPDATE purchase_schedules
+     SET status = ?, pause_reason = ?, next_run_at = ?, last_status = ?, last_reference = ?, run_count = run_count + 1
+     WHERE id = ?`,
+    [
+      status,
+      status === 'paused' ? 'Insufficient wallet balance' : null,
+      status === 'paused' ? schedule.next_run_at : nextRunAt,
+      outcome.status,
+      outcome.reference || null,
+      schedule.id
+    ]
+  );
+
+  console.log(`Schedule ${schedule.id} ran: ${outcome.status}${outcome.reference ? `, Reference: ${outcome.reference}` : ''}`);
+  await notifyOutcome({ ...schedule, status, next_run_at: nextRunAt }, outcome);
+};
+
+const runDueSchedules = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const [schedules] = await db.execute(
+      `SELECT * FROM purchase_schedules
+       WHERE status = 'active' AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC
+       LIMIT ${BATCH_SIZE}`
+    );
+
+    for (const schedule of schedules) {
+      try {
+        await runSchedule(schedule);
+      } catch (error) {
+        console.error(`Schedule ${schedule.id} run error:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Schedule run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduleWorker = () => {
+  if (timer) return;
+  timer = setInterval(runDueSchedules, SCHEDULE_INTERVAL_MS);
+  console.log(`⏰ Purchase schedule worker running every ${SCHEDULE_INTERVAL_MS / 1000}s`);
+};
+
+const stopScheduleWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  TYPES,
+  FREQUENCIES,
+  nextRunAfter,
+  buildPayload,
+  formatSchedule,
+  runDueSchedules,
+  startScheduleWorker,
+  stopScheduleWorker
+};
@@ -0,0 +1,170 @@
+const db = require('../config/database');
+const vtuProviders = require('./providers');
+const sendEmail = require('./sendEmail');
+const { parseDetails } = require('./walletHolds');
+
+// Electricity token vault: every prepaid meter purchase gets a row with its token, units,
+// meter, customer name and disco. A delivered purchase whose token wasn't in the provider
+// response keeps a row with a null token until it is retrieved with a requery.
+
+const isPrepaidElectricity = (serviceID, variation_code) => /-electric$/.test(serviceID || '') && variation_code === 'prepaid';
+
+// "Token : 1234-5678-..." -> "1234-5678-..."
+const cleanToken = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const token = value.replace(/^\s*(main\s*)?token\s*:?\s*/i, '').trim();
+  return token || null;
+};
+
+// VTpass puts these fields in different places depending on the disco
+const firstField = (responses, fields) => {
+  for (const response of responses) {
+    if (!response) continue;
+    for (const field of fields) {
+      const value = response[field] ?? response.content?.[field];
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+  }
+  return null;
+};
+
+const extractTokenDetails = (...responses) => ({
+  token: cleanToken(firstField(responses, ['Token', 'token', 'mainToken', 'purchased_code'])),
+  units: firstField(responses, ['units', 'Units', 'mainTokenUnits', 'PurchasedUnits']),
+  customer_name: firstField(responses, ['customerName', 'CustomerName', 'Customer_Name'])
+});
+
+const formatToken = (row) => ({
+  reference: row.reference,
+  disco: row.disco,
+  meter_number: row.meter_number,
+  customer_name: row.customer_name,
+  token: row.token,
+  units: row.units,
+  amount: parseFloat(row.amount),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const findToken = async (userId, reference) => {
+  const [rows] = await db.execute(
+    'SELECT * FROM electricity_tokens WHERE user_id = ? AND reference = ?',
+    [userId, reference]
+  );
+  return rows[0] || null;
+};
+
+// Store (or fill in) the vault row for a delivered purchase. Values already captured
+// are kept when a later response doesn't carry them.
+const saveToken = async ({ userId, reference, disco, meterNumber, amount, customerName, responses }) => {
+  const extracted = extractTokenDetails(...responses);
+  const name = extracted.customer_name || customerName || null;
+
+  await db.execute(
+    `INSERT INTO electricity_tokens (user_id, reference, disco, meter_number, customer_name, token, units, amount)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       customer_name = COALESCE(VALUES(customer_name), customer_name),
+       token = COALESCE(VALUES(token), token),
+       units = COALESCE(VALUES(units), units)`,
+    [userId, reference, disco, meterNumber, name, extracted.token, extracted.units === null ? null : String(extracted.units), amount]
+  );
+
+  if (extracted.token) {
+    await db.execute(
+      "UPDATE transactions SET details = JSON_SET(details, '$.token', ?) WHERE reference = ?",
+      [extracted.token, reference]
+    );
+  } else {
+    console.warn(`No token in provider response for ${reference}, retrieval needed`);
+  }
+
+  return formatToken(await findToken(userId, reference));
+};
+
+// Requery the provider for a delivered prepaid purchase and store what it returns.
+// Returns { token } with the vault entry, or { status, error } when it can't be retrieved.
+const retrieveToken = async (reference, userId = null) => {
+  const [transactions] = await db.execute(
+    `SELECT user_id, amount, status, provider, details FROM transactions
+     WHERE reference = ? AND type = 'bill' ${userId ? 'AND user_id = ?' : ''}`,
+    userId ? [reference, userId] : [reference]
+  );
+
+  if (transactions.length === 0) {
+    return { status: 404, error: 'Transaction not found' };
+  }
+
+  const transaction = transactions[0];
+  const details = parseDetails(transaction.details);
+
+  if (!isPrepaidElectricity(details.serviceID, details.variation_code)) {
+    return { status: 400, error: 'This transaction is not a prepaid electricity purchase' };
+  }
+  if (transaction.status !== 'success') {
+    return { status: 400, error: `Tokens are only available for successful purchases, this one is ${transaction.status}` };
+  }
+
+  const { status, data } = await vtuProviders.requery(transaction.provider, details.request_id || reference);
+  if (status !== 'delivered') {
+    return { status: 409, error: `Provider reports this purchase as ${status}` };
+  }
+
+  const token = await saveToken({
+    userId: transaction.user_id,
+    reference,
+    disco: details.serviceID,
+    meterNumber: details.billersCode,
+    amount: transaction.amount,
+    customerName: details.customer_name,
+    responses: [data]
+  });
+
+  return { token };
+};
+
+// Purchases that settle later (reconciliation, callbacks) get their vault row here
+const captureOnSettlement = async (transaction) => {
+  const details = parseDetails(transaction.details);
+  if (!isPrepaidElectricity(details.serviceID, details.variation_code)) return;
+
+  try {
+    if (await findToken(transaction.user_id, transaction.reference)) return;
+    await retrieveToken(transaction.reference);
+  } catch (error) {
+    console.error(`Token capture error for ${transaction.reference}:`, error.response?.data || error.message);
+  }
+};
+
+const emailToken = async (user, entry) => {
+  const subject = 'Your Electricity Token - Zippy Pay';
+  const message = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #5C2D91;">Your Electricity Token</h2>
+          <p>Hello ${user.full_name},</p>
+          <p>Here is the token for your ${entry.disco} purchase.</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
+            <span style="font-size: 24px; font-weight: bold; color: #F59E0B; letter-spacing: 3px;">${entry.token}</span>
+          </div>
+          <p>Meter number: ${entry.meter_number}</p>
+          ${entry.customer_name ? `<p>Customer name: ${entry.customer_name}</p>` : ''}
+          ${entry.units ? `<p>Units: ${entry.units}</p>` : ''}
+          <p>Amount: ₦${entry.amount}</p>
+          <p>Reference: ${entry.reference}</p>
+          <p>Best regards,<br>Zippy Pay Team</p>
+        </div>
+      `;
+
+  return sendEmail(user.email, subject, message);
+};
+
+module.exports = {
+  isPrepaidElectricity,
+  extractTokenDetails,
+  formatToken,
+  findToken,
+  saveToken,
+  retrieveToken,
+  captureOnSettlement,
+  emailToken
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Encryption at rest for values that work like cash: saved card authorizations and education
+// PINs. AES-256-GCM under CARD_VAULT_KEY (32 bytes as hex), stored as "iv.tag.ciphertext" in
+// base64. No database access here, so scripts can use it without opening the pool.
+
+const vaultKey = () => {
+  const key = Buffer.from(process.env.CARD_VAULT_KEY || '', 'hex');
+  return key.length === 32 ? key : null;
+};
+
+const warned = new Set();
+
+// Warn once per kind of value that isn't being stored for lack of a key
+const warnMissingKey = (what) => {
+  if (warned.has(what)) return;
+  warned.add(what);
+  console.warn(`CARD_VAULT_KEY is not set (32 bytes as hex), ${what} are not being stored`);
+};
+
+const isSealed = (value) => typeof value === 'string' && /^[A-Za-z0-9+/=]+\.[A-Za-z0-9+/=]+\.[A-Za-z0-9+/=]+$/.test(value);
+
+// Encrypt a value for storage. Returns null without a key; callers must not store it in plain.
+// `what` names the values in the missing-key warning.
+const sealSecret = (plain, what = 'secrets') => {
+  const key = vaultKey();
+  if (!key) {
+    warnMissingKey(what);
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+// Decrypt a value from sealSecret. Returns null when it can't be (no key, or the key changed).
+const openSecret = (stored) => {
+  const key = vaultKey();
+  if (!key || !isSealed(stored)) return null;
+
+  try {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('Stored secret could not be decrypted:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  isSealed,
+  sealSecret,
+  openSecret
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { parseDetails } = require('./walletHolds');
+
+// Short-lived records of a successful smartcard/meter verification. /verify-smartcard and
+// /verify-meter hand out the session ID and /bills requires it for billers that verify first,
+// so a purchase always goes to the customer the user saw confirmed.
+const SESSION_TTL_MINUTES = parseInt(process.env.VERIFICATION_SESSION_TTL_MINUTES) || 30;
+
+const formatSession = (session) => ({
+  verification_id: session.id,
+  serviceID: session.service_id,
+  billersCode: session.billers_code,
+  type: session.type,
+  customer_name: session.customer_name,
+  current_bouquet: session.current_bouquet,
+  renewal_amount: session.renewal_amount === null ? null : parseFloat(session.renewal_amount),
+  expires_at: session.expires_at
+});
+
+// What renewing the current bouquet costs, from a smartcard verification (null if not given)
+const renewalAmount = (verification) => {
+  const content = verification?.content || verification || {};
+  const amount = parseFloat(content.Renewal_Amount);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const createSession = async ({ userId, serviceID, billersCode, type = null, customerName, verification }) => {
+  const content = verification?.content || verification || {};
+  const id = `VS_${crypto.randomBytes(16).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+
+  // The user's expired sessions are cleared out as new ones are made
+  await db.execute('DELETE FROM verification_sessions WHERE user_id = ? AND expires_at < NOW()', [userId]);
+
+  await db.execute(
+    `INSERT INTO verification_sessions
+       (id, user_id, service_id, billers_code, type, customer_name, current_bouquet, renewal_amount, verification, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id, userId, serviceID, String(billersCode), type, customerName,
+      content.Current_Bouquet || null,
+      renewalAmount(verification),
+      JSON.stringify(verification),
+      expiresAt
+    ]
+  );
+
+  const [rows] = await db.execute('SELECT * FROM verification_sessions WHERE id = ?', [id]);
+  return formatSession(rows[0]);
+};
+
+// Check a session against the purchase it is used for.
+// Returns { customerName, verification, session } or { error }.
+const useSession = async ({ id, userId, serviceID, billersCode, type = null }) => {
+  if (!id) {
+    return { error: 'Verify the customer first and send the verification_id with the purchase' };
+  }
+
+  const [rows] = await db.execute(
+    'SELECT * FROM verification_sessions WHERE id = ? AND user_id = ?',
+    [id, userId]
+  );
+  const session = rows[0];
+
+  if (!session) {
+    return { error: 'Verification not found' };
+  }
+  if (new Date(session.expires_at) <= new Date()) {
+    return { error: 'Verification has expired, please verify again' };
+  }
+  if (session.service_id !== serviceID || session.billers_code !== String(billersCode) || (session.type && session.type !== type)) {
+    return { error: 'Verification does not match this purchase' };
+  }
+
+  return { customerName: session.customer_name, verification: parseDetails(session.verification), session: formatSession(session) };
+};
+
+module.exports = {
+  SESSION_TTL_MINUTES,
+  renewalAmount,
+  createSession,
+  useSession
+};
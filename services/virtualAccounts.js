@@ -0,0 +1,79 @@
+const db = require('../config/database');
+const paystack = require('./paystack');
+
+// Dedicated virtual accounts for bank transfer funding. Each user gets one Paystack NUBAN,
+// assigned the first time they ask for it; transfers into it arrive as charge.success
+// webhooks on the dedicated_nuban channel (see settleBankTransfer in walletFunding).
+
+const PREFERRED_BANK = process.env.PAYSTACK_DVA_BANK || 'wema-bank';
+
+const formatAccount = (account) => ({
+  account_number: account.account_number,
+  account_name: account.account_name,
+  bank_name: account.bank_name,
+  is_active: Boolean(account.is_active),
+  created_at: account.created_at
+});
+
+const findAccount = async (userId) => {
+  const [accounts] = await db.execute('SELECT * FROM virtual_accounts WHERE user_id = ?', [userId]);
+  return accounts[0] || null;
+};
+
+const getVirtualAccount = async (userId) => {
+  const account = await findAccount(userId);
+  return account ? formatAccount(account) : null;
+};
+
+// Returns { account } or { status, error }
+const assignVirtualAccount = async (user) => {
+  const existing = await findAccount(user.id);
+  if (existing) return { account: formatAccount(existing) };
+
+  if (!user.phone) {
+    return { status: 400, error: 'Add a phone number to your profile to get a bank transfer account' };
+  }
+
+  const [firstName, ...otherNames] = user.full_name.trim().split(/\s+/);
+  const customer = await paystack.createCustomer({
+    email: user.email,
+    first_name: firstName,
+    last_name: otherNames.join(' ') || firstName,
+    phone: user.phone
+  });
+
+  if (!customer.status) {
+    return { status: 502, error: 'Could not create a bank transfer account, please try again' };
+  }
+
+  const dedicated = await paystack.createDedicatedAccount({
+    customer: customer.data.customer_code,
+    preferred_bank: PREFERRED_BANK
+  });
+
+  if (!dedicated.status) {
+    console.error(`Dedicated account for user ${user.id} failed:`, dedicated.message);
+    return { status: 502, error: 'Could not create a bank transfer account, please try again' };
+  }
+
+  const { id, account_number, account_name, bank } = dedicated.data;
+
+  try {
+    await db.execute(
+      `INSERT INTO virtual_accounts
+         (user_id, provider, customer_code, provider_account_id, account_number, account_name, bank_name, bank_slug)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [user.id, 'paystack', customer.data.customer_code, String(id), account_number, account_name, bank.name, bank.slug || null]
+    );
+  } catch (error) {
+    // A parallel request assigned it first; Paystack hands back the same account
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  return { account: formatAccount(await findAccount(user.id)) };
+};
+
+module.exports = {
+  getVirtualAccount,
+  assignVirtualAccount
+};
@@ -0,0 +1,358 @@
+const db = require('../config/database');
+const vtuProviders = require('./providers');
+const pricingEngine = require('./pricing');
+const generateRequestId = require('./requestId');
+const { placeHold, releaseHold, noteHold } = require('./walletHolds');
+const { applyProviderStatus } = require('./vtuSettlement');
+const educationPins = require('./educationPins');
+const billers = require('./billers');
+
+// The VTU purchase flow shared by the /api/vtu routes, bulk batches and schedules:
+// price, reserve the wallet, call /pay, requery, then settle or release the hold.
+// Each purchase returns { httpStatus, body, reference } where body is the JSON the
+// routes send back; reference is null when nothing was charged.
+// /pay errors are rethrown after the hold is released, as the routes report them as 500s,
+// except a timeout that couldn't be requeried, which keeps the hold for reconciliation and
+// is answered as a 202 pending purchase.
+
+// ✅ Map 'etisalat' to VTpass '9mobile'
+const AIRTIME_SERVICES = {
+  mtn: 'mtn',
+  glo: 'glo',
+  airtel: 'airtel',
+  etisalat: 'etisalat'
+};
+
+const DATA_SERVICES = {
+  mtn: 'mtn-data',
+  glo: 'glo-data',
+  airtel: 'airtel-data',
+  etisalat: 'etisalat-data'
+};
+
+// Response fields that hold purchased PINs and electricity tokens, masked before anything is logged
+const SECRET_FIELDS = ['pin', 'pins', 'cards', 'tokens', 'purchased_code', 'token', 'maintoken'];
+
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SECRET_FIELDS.includes(key.toLowerCase()) && field ? '[redacted]' : redactSecrets(field)
+  ]));
+};
+
+const rejected = (httpStatus, body) => ({ httpStatus, body: { success: false, ...body }, reference: null });
+
+// Release the hold when /pay was rejected (or the provider has no record of the order), then rethrow
+const releaseOnPayError = async (reference, error) => {
+  try {
+    await releaseHold(reference, `Provider purchase error: ${error.response?.data?.response_description || error.message}`);
+  } catch (dbError) {
+    console.error('Database error releasing wallet hold:', dbError);
+  }
+  throw error;
+};
+
+// Record which provider took the order so later requeries go to the same place
+const recordProvider = async (reference, provider) => {
+  try {
+    await db.execute('UPDATE transactions SET provider = ? WHERE reference = ?', [provider, reference]);
+  } catch (dbError) {
+    console.error('Database error recording provider:', dbError);
+  }
+};
+
+// Requery failed after /pay: outcome unknown, so keep the funds reserved
+const noteRequeryError = async (reference) => {
+  try {
+    await noteHold(reference, 'Requery failed after purchase');
+  } catch (dbError) {
+    console.error('Database error updating wallet hold:', dbError);
+  }
+};
+
+// The order may have gone through and the funds stay held until reconciliation settles it.
+// Reported as pending (not a 5xx) so an Idempotency-Key retry replays it instead of buying again.
+const unconfirmed = (reference, pricing) => ({
+  httpStatus: 202,
+  body: {
+    success: true,
+    status: "pending",
+    reference,
+    amount_charged: pricing.userPrice,
+    message: "Unable to confirm transaction status yet; it will be updated once the provider confirms it"
+  },
+  reference
+});
+
+const runPurchase = async ({ userId, type, label, request_id, routeKey, payload, pricing, details, batchId, failureMessage, onDelivered, redactResponse = false }) => {
+  const reference = request_id;
+
+  // Reserve the amount on the wallet before calling the provider
+  const hold = await placeHold({ userId, type, amount: pricing.userPrice, reference, details, pricing, batchId });
+  if (!hold.success) {
+    return rejected(hold.status, { error: hold.error });
+  }
+
+  // Step 1: Make purchase
+  let provider;
+  let purchaseData;
+  try {
+    ({ provider, data: purchaseData } = await vtuProviders.purchase(routeKey, payload));
+  } catch (payError) {
+    if (payError.code !== 'PURCHASE_UNCONFIRMED') {
+      return releaseOnPayError(reference, payError);
+    }
+
+    // Timed out and the requery failed too: the reconciliation worker settles it with this provider
+    await recordProvider(reference, payError.provider);
+    await noteRequeryError(reference);
+    return unconfirmed(reference, pricing);
+  }
+
+  await recordProvider(reference, provider);
+  console.log(`Exact ${label} purchase response from ${provider}:`, JSON.stringify(redactSecrets(purchaseData), null, 2));
+
+  // Step 2: Immediately requery transaction status
+  let statusResponse;
+  let txStatus;
+  try {
+    ({ status: txStatus, data: statusResponse } = await vtuProviders.requery(provider, request_id));
+    console.log(`Exact ${label} requery response from ${provider}:`, JSON.stringify(redactSecrets(statusResponse), null, 2));
+  } catch (requeryError) {
+    console.error(`${label} requery error:`, requeryError.response?.data || requeryError.message);
+    await noteRequeryError(reference);
+    return unconfirmed(reference, pricing);
+  }
+
+  // Step 3: Map provider status into success/failure/pending and resolve the wallet hold
+  // VTpass statuses: initiated (transaction initiated), pending (awaiting confirmation), delivered (successful)
+  // onDelivered adds product details (such as an electricity token) to the response and the row.
+  // With redactResponse the provider response is masked too, for products whose secrets must
+  // not be persisted anywhere but their own store (the response is kept for Idempotency-Key replays).
+  let delivered = {};
+  let body;
+  const data = redactResponse ? redactSecrets(statusResponse) : statusResponse;
+
+  if (txStatus === "delivered") {
+    if (onDelivered) {
+      try {
+        delivered = await onDelivered(statusResponse, purchaseData, reference);
+      } catch (deliveredError) {
+        console.error(`${label} delivery details error:`, deliveredError.message);
+      }
+    }
+    body = { success: true, status: "success", amount_charged: pricing.userPrice, data, ...delivered };
+  } else if (txStatus === "pending" || txStatus === "initiated") {
+    body = { success: true, status: "pending", amount_charged: pricing.userPrice, data };
+  } else {
+    body = { success: false, status: "failed", ...(failureMessage && { error: failureMessage(statusResponse) }), data };
+  }
+
+  try {
+    await applyProviderStatus(reference, txStatus, {
+      ...delivered,
+      ...(txStatus === "delivered" && { pricing: pricingEngine.settledPricing(pricing, statusResponse) })
+    });
+    console.log(`${label} transaction recorded: User ${userId}, Amount: ${pricing.userPrice}, Service: ${payload.serviceID}, Status: ${body.status}`);
+  } catch (dbError) {
+    console.error('Database error recording transaction:', dbError);
+    // Continue with response even if DB fails
+  }
+
+  return { httpStatus: 200, body, reference };
+};
+
+// `amount` is the face value; the user pays the marked-up price
+const purchaseAirtime = async ({ userId, network, phone, amount, batchId, request_id = generateRequestId(), extraDetails = {} }) => {
+  const serviceID = AIRTIME_SERVICES[network];
+  if (!serviceID) {
+    return rejected(400, { error: 'Invalid network selected' });
+  }
+
+  const pricing = await pricingEngine.quote({ serviceID, network, amount });
+
+  return runPurchase({
+    userId,
+    type: 'airtime',
+    label: 'Airtime',
+    request_id,
+    routeKey: { serviceID, network },
+    payload: { request_id, serviceID, amount, phone },
+    pricing,
+    batchId,
+    details: { network, phone, amount, serviceID, request_id, pricing, ...extraDetails }
+  });
+};
+
+// Bundles are priced from the catalog and the client amount must match
+const purchaseData = async ({ userId, network, phone, variation_code, amount, batchId, request_id = generateRequestId(), extraDetails = {} }) => {
+  const serviceID = DATA_SERVICES[network];
+  if (!serviceID) {
+    return rejected(400, { error: 'Invalid network selected' });
+  }
+
+  const pricing = await pricingEngine.quote({ serviceID, network, variation_code, amount, fixedPriceOnly: true });
+  if (pricing.error) {
+    return rejected(400, { error: pricing.error });
+  }
+  if (!pricingEngine.matchesQuote(amount, pricing)) {
+    return rejected(400, { error: 'Amount does not match the current price', expected_amount: pricing.userPrice });
+  }
+
+  return runPurchase({
+    userId,
+    type: 'data',
+    label: 'Data',
+    request_id,
+    routeKey: { serviceID, network },
+    payload: { request_id, serviceID, variation_code, phone },
+    pricing,
+    batchId,
+    details: { network, phone, variation_code, amount, serviceID, request_id, pricing, ...extraDetails },
+    failureMessage: (statusResponse) => (statusResponse?.content?.transactions?.product_name ?
+      `Data purchase failed for ${statusResponse.content.transactions.product_name}` :
+      'Data purchase failed')
+  });
+};
+
+// Fixed-price plans come from the catalog and must match the client amount,
+// flexible bills (electricity, renewals) use the amount as the face value.
+// Everything biller-specific (fields, limits, verification, receipts) comes from services/billers.
+// Billers that verify first need the verification_id from /verify-smartcard or /verify-meter,
+// unless `verification` is 'provider' (server-started purchases verify with the provider).
+const payBill = async ({ userId, serviceID, billersCode, variation_code, amount, phone, subscription_type, verification_id, verification = 'session', request_id = generateRequestId(), extraDetails = {} }) => {
+  const validated = await billers.validateBill(
+    { serviceID, billersCode, variation_code, amount, phone, subscription_type, verification_id },
+    { userId, verification }
+  );
+  if (validated.errors) {
+    const { msg, path, ...extra } = validated.errors[0];
+    return rejected(400, { error: msg, errors: validated.errors, ...extra });
+  }
+  const { biller, input, customerName } = validated;
+
+  const pricing = await pricingEngine.quote({ serviceID, variation_code: input.variation_code, amount });
+  if (pricing.error) {
+    return rejected(400, { error: pricing.error });
+  }
+  if (!pricingEngine.matchesQuote(amount, pricing)) {
+    return rejected(400, { error: 'Amount does not match the current price', expected_amount: pricing.userPrice });
+  }
+
+  const payload = {
+    request_id,
+    serviceID,
+    billersCode: input.billersCode,
+    amount: pricing.providerCost,
+    ...biller.payload(input)
+  };
+
+  return runPurchase({
+    userId,
+    type: 'bill',
+    label: 'Bills',
+    request_id,
+    routeKey: { serviceID },
+    payload,
+    pricing,
+    details: {
+      serviceID,
+      billersCode: input.billersCode,
+      variation_code: input.variation_code,
+      amount,
+      phone: input.phone,
+      subscription_type: input.subscription_type,
+      verification_id: input.verification_id || null,
+      request_id,
+      token: null,
+      customer_name: customerName,
+      pricing,
+      ...extraDetails
+    },
+    failureMessage: (statusResponse) => (statusResponse?.content?.transactions?.product_name ?
+      `Bill payment failed for ${statusResponse.content.transactions.product_name}` :
+      'Bill payment failed'),
+    onDelivered: (statusResponse, purchaseData, reference) => biller.receipt({
+      userId,
+      reference,
+      input,
+      pricing,
+      customerName,
+      responses: [statusResponse, purchaseData]
+    })
+  });
+};
+
+// Education PINs are fixed-price per card; `amount`, when given, must match the total for the quantity.
+// Profile-bound PINs (JAMB) verify the candidate profile in billersCode first.
+const purchaseEducation = async ({ userId, serviceID, variation_code, quantity = 1, phone, billersCode, amount, request_id = generateRequestId(), extraDetails = {} }) => {
+  if (!educationPins.isEducationService(serviceID)) {
+    return rejected(400, { error: 'Invalid education service' });
+  }
+
+  let customerName = null;
+  if (educationPins.PROFILE_SERVICES.includes(serviceID)) {
+    if (!billersCode) {
+      return rejected(400, { error: 'Profile ID (billersCode) is required for this product' });
+    }
+    const profile = await educationPins.verifyProfile({ serviceID, billersCode, variation_code });
+    if (profile.error) {
+      return rejected(400, { error: profile.error });
+    }
+    customerName = profile.customerName;
+  }
+
+  const unitPricing = await pricingEngine.quote({ serviceID, variation_code, fixedPriceOnly: true });
+  if (unitPricing.error) {
+    return rejected(400, { error: unitPricing.error });
+  }
+
+  const pricing = pricingEngine.forQuantity(unitPricing, quantity);
+  if (amount !== undefined && amount !== null && Math.abs(parseFloat(amount) - pricing.userPrice) >= 0.01) {
+    return rejected(400, { error: 'Amount does not match the current price', expected_amount: pricing.userPrice });
+  }
+
+  const payload = {
+    request_id,
+    serviceID,
+    variation_code,
+    quantity,
+    phone,
+    amount: pricing.providerCost,
+    ...(billersCode && { billersCode })
+  };
+
+  return runPurchase({
+    userId,
+    type: 'bill',
+    label: 'Education',
+    request_id,
+    routeKey: { serviceID },
+    payload,
+    pricing,
+    details: { serviceID, variation_code, quantity, phone, billersCode, customer_name: customerName, request_id, pricing, ...extraDetails },
+    failureMessage: (statusResponse) => (statusResponse?.content?.transactions?.product_name ?
+      `PIN purchase failed for ${statusResponse.content.transactions.product_name}` :
+      'PIN purchase failed'),
+    // PINs stay in education_pins (encrypted); the response and the row only say how many there
+    // are, and GET /education/:reference/pins returns them
+    redactResponse: true,
+    onDelivered: async (statusResponse, purchaseData, reference) => ({
+      reference,
+      pin_count: (await educationPins.savePins({ userId, reference, serviceID, responses: [purchaseData, statusResponse] })).length
+    })
+  });
+};
+
+module.exports = {
+  AIRTIME_SERVICES,
+  DATA_SERVICES,
+  purchaseAirtime,
+  purchaseData,
+  payBill,
+  purchaseEducation,
+  redactSecrets
+};
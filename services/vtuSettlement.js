@@ -0,0 +1,32 @@
+const { settleHold, releaseHold, reverseHold, noteHold } = require('./walletHolds');
+const tokenVault = require('./tokenVault');
+const educationPins = require('./educationPins');
+
+// Provider transaction statuses (VTpass vocabulary) that are not final yet
+const PENDING_STATUSES = ['pending', 'initiated'];
+
+// Apply a provider transaction status to the held purchase with the matching wallet effect:
+// delivered settles, pending/initiated keeps the hold, reversed and anything else refunds
+const applyProviderStatus = async (reference, txStatus, extraDetails = {}) => {
+  if (txStatus === 'delivered') {
+    const settled = await settleHold(reference, extraDetails);
+    // Purchases settled outside the purchase request still need their token or PINs stored
+    if (settled) {
+      await tokenVault.captureOnSettlement(settled);
+      await educationPins.captureOnSettlement(settled);
+    }
+    return settled;
+  }
+  if (PENDING_STATUSES.includes(txStatus)) {
+    return noteHold(reference, `Provider status: ${txStatus}`, extraDetails);
+  }
+  if (txStatus === 'reversed') {
+    return reverseHold(reference, 'Provider reversed the transaction', extraDetails);
+  }
+  return releaseHold(reference, `Provider status: ${txStatus}`, extraDetails);
+};
+
+module.exports = {
+  PENDING_STATUSES,
+  applyProviderStatus
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const ledger = require('./ledger');
+const { emitDebited } = require('./walletEvents');
+
+// Direct wallet debits (/api/wallet/transaction) and P2P transfers. Each one locks the
+// wallet rows it touches, checks the balance and posts to the ledger in one DB transaction,
+// so parallel requests queue behind each other instead of overdrawing the wallet.
+// Both return { status, error } when the debit can't go through.
+
+const insufficient = () => ({ status: 400, error: 'Insufficient wallet balance' });
+
+// `debitedUserId` is announced on walletEvents once the debit has committed
+const inTransaction = async (debitedUserId, work) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+
+    if (result.error) {
+      await connection.rollback();
+    } else {
+      await connection.commit();
+      emitDebited(debitedUserId);
+    }
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    // The ledger refuses a debit the wallet can't cover even if the checks above missed it
+    if (ledger.isInsufficientFunds(error)) return insufficient();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Returns { transactionId, reference }
+const debitWallet = ({ userId, type, amount, details }) => {
+  const reference = `ZP_${type.toUpperCase()}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  return inTransaction(userId, async (connection) => {
+    const [users] = await connection.execute(
+      'SELECT wallet_balance FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return { status: 404, error: 'User not found' };
+    }
+    if (parseFloat(users[0].wallet_balance) < parseFloat(amount)) {
+      return insufficient();
+    }
+
+    await ledger.post({
+      reference,
+      kind: 'purchase',
+      description: `${type} purchase`,
+      entries: ledger.move(ledger.userAccount(userId), ledger.ACCOUNTS.PROVIDER_PAYABLE, amount)
+    }, connection);
+
+    const [result] = await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, type, amount, reference, 'success', JSON.stringify(details)]
+    );
+
+    return { transactionId: result.insertId, reference };
+  });
+};
+
+// `sender` and `recipient` are { id, email, full_name }. Returns { reference } (the sender's leg).
+const transferFunds = ({ sender, recipient, amount }) => {
+  const reference = `ZP_P2P_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  return inTransaction(sender.id, async (connection) => {
+    // Lock both wallets in id order so opposite transfers can't deadlock
+    const [wallets] = await connection.execute(
+      'SELECT id, wallet_balance FROM users WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+      [sender.id, recipient.id]
+    );
+
+    const senderWallet = wallets.find((wallet) => wallet.id === sender.id);
+    if (!senderWallet) {
+      return { status: 404, error: 'User not found' };
+    }
+    if (parseFloat(senderWallet.wallet_balance) < parseFloat(amount)) {
+      return insufficient();
+    }
+
+    await ledger.post({
+      reference,
+      kind: 'p2p_transfer',
+      description: `Transfer to ${recipient.email}`,
+      entries: ledger.move(ledger.userAccount(sender.id), ledger.userAccount(recipient.id), amount)
+    }, connection);
+
+    // Create transaction record for sender
+    await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
+      [sender.id, 'p2p_transfer', amount, `${reference}_DEBIT`, 'success', JSON.stringify({
+        recipient_email: recipient.email,
+        recipient_name: recipient.full_name,
+        transfer_type: 'debit'
+      })]
+    );
+
+    // Create transaction record for recipient
+    await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, reference, status, details) VALUES (?, ?, ?, ?, ?, ?)',
+      [recipient.id, 'p2p_transfer', amount, `${reference}_CREDIT`, 'success', JSON.stringify({
+        sender_email: sender.email,
+        sender_name: sender.full_name || 'Unknown',
+        transfer_type: 'credit'
+      })]
+    );
+
+    return { reference: `${reference}_DEBIT` };
+  });
+};
+
+module.exports = {
+  debitWallet,
+  transferFunds
+};
@@ -0,0 +1,15 @@
+const { EventEmitter } = require('events');
+
+// In-process wallet notifications. Code that debits a wallet emits `debited` with the user
+// id once its DB transaction has committed; listeners (e.g. auto top-up) run after the fact
+// and never hold up or fail the debit.
+const walletEvents = new EventEmitter();
+
+const emitDebited = (userId) => {
+  walletEvents.emit('debited', userId);
+};
+
+module.exports = {
+  walletEvents,
+  emitDebited
+};
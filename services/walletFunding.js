@@ -0,0 +1,191 @@
+const db = require('../config/database');
+const ledger = require('./ledger');
+const { parseDetails } = require('./walletHolds');
+const { LEGACY_GATEWAY } = require('./gateways');
+const cardVault = require('./cardVault');
+
+// Settlement of wallet funding payments. /api/wallet/verify and the gateway webhooks both
+// settle checkout payments here: the pending wallet_fund row is locked, so whichever arrives
+// second sees the payment already settled and the wallet is credited once. Transfers into
+// virtual accounts are credited here too. A webhook's event is recorded in the same DB
+// transaction, so a redelivered event is skipped and a failed one can be retried.
+
+const toKobo = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Funding fee passed on to the user, whichever gateway takes the payment (Paystack's local rate): 1.5%, plus ₦100 from ₦2,500. Amounts in naira.
+const fundingFee = (amount) => {
+  const fee = amount < 2500 ? amount * 0.015 : (amount * 0.015) + 100;
+  return Math.round(fee * 100) / 100;
+};
+
+// Record a processed webhook event; false when it was already recorded (a redelivery)
+const recordEvent = async (connection, { gateway, id, event, reference }) => {
+  const [result] = await connection.execute(
+    'INSERT IGNORE INTO webhook_events (gateway, event_id, event, reference) VALUES (?, ?, ?, ?)',
+    [gateway, String(id), event, reference]
+  );
+  return result.affectedRows > 0;
+};
+
+const settle = async (connection, { gateway, reference, paymentStatus, amount, externalReference, card }) => {
+  const [transactions] = await connection.execute(
+    "SELECT id, user_id, amount, status, provider, details FROM transactions WHERE reference = ? AND type = 'wallet_fund' FOR UPDATE",
+    [reference]
+  );
+
+  if (transactions.length === 0) {
+    return { status: 404, error: 'Transaction not found' };
+  }
+
+  const transaction = transactions[0];
+
+  if ((transaction.provider || LEGACY_GATEWAY) !== gateway) {
+    return { status: 409, error: 'Transaction was not made through this gateway' };
+  }
+
+  // Settled by the other path (or an earlier call) already
+  if (!['pending', 'processing'].includes(transaction.status)) {
+    return { outcome: transaction.status, transaction, alreadySettled: true };
+  }
+
+  const details = parseDetails(transaction.details);
+  let status = paymentStatus;
+
+  // The gateway reports the gross amount in kobo; it must be what the user was asked to pay
+  const expected = toKobo(details.original_amount ?? transaction.amount);
+  if (status === 'success' && parseInt(amount) !== expected) {
+    console.error(`Funding amount mismatch for ${reference}: expected ${expected} kobo, paid ${amount} kobo`);
+    status = 'failed';
+    details.amount_mismatch = { expected: expected / 100, paid: parseInt(amount) / 100 };
+  }
+
+  await connection.execute(
+    'UPDATE transactions SET status = ?, external_reference = ?, details = ? WHERE id = ?',
+    [status, externalReference ?? null, JSON.stringify(details), transaction.id]
+  );
+
+  if (status === 'success') {
+    await ledger.post({
+      reference,
+      kind: 'wallet_fund',
+      description: `${gateway} wallet funding`,
+      entries: ledger.move(ledger.ACCOUNTS.FUNDING, ledger.userAccount(transaction.user_id), transaction.amount)
+    }, connection);
+
+    console.log(`Wallet funded: User ${transaction.user_id}, Amount: ${transaction.amount}`);
+
+    // Keep the card for later charges unless the user opted out at checkout
+    if (card && details.save_card !== false) {
+      await cardVault.storeCard({ userId: transaction.user_id, gateway, card }, connection);
+    }
+  }
+
+  return {
+    outcome: status,
+    transaction: { ...transaction, status, details },
+    amountMismatch: Boolean(details.amount_mismatch)
+  };
+};
+
+// Runs `work` in a DB transaction that first records the webhook `event`, if any.
+// An event that was already processed returns { duplicate: true } without running it.
+const inFundingTransaction = async (event, reference, work) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    if (event && !(await recordEvent(connection, { ...event, reference }))) {
+      await connection.rollback();
+      return { duplicate: true };
+    }
+
+    const result = await work(connection);
+
+    if (result.error) {
+      await connection.rollback();
+    } else {
+      await connection.commit();
+    }
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Apply a gateway payment result to its pending wallet_fund transaction. `paymentStatus` is
+// the gateway's status as a transaction status and `amount` the gross amount paid, in kobo.
+// Pass `event` ({ id, event }) for webhooks and the gateway's reusable `card`, if any, to save it.
+// Returns { outcome, transaction, alreadySettled, amountMismatch }, { duplicate } or { status, error }.
+const settleFunding = ({ gateway, reference, paymentStatus, amount, externalReference, card = null, event = null }) =>
+  inFundingTransaction(event && { ...event, gateway }, reference, (connection) =>
+    settle(connection, { gateway, reference, paymentStatus, amount, externalReference, card })
+  );
+
+// Credit a transfer into a user's dedicated virtual account. There is no pending transaction
+// for these, so the wallet_fund row is created here, net of the same fee as card funding.
+// `amount` is in kobo; `sender` is { bank, name, account_number }.
+// Returns { outcome, transaction, alreadySettled }, { duplicate } or { status, error }.
+const settleBankTransfer = ({ gateway, accountNumber, reference, amount, externalReference, sender, event = null }) =>
+  inFundingTransaction(event && { ...event, gateway }, reference, async (connection) => {
+    const [accounts] = await connection.execute(
+      'SELECT user_id, account_number, bank_name FROM virtual_accounts WHERE account_number = ?',
+      [accountNumber]
+    );
+
+    if (accounts.length === 0) {
+      return { status: 404, error: 'Virtual account not found' };
+    }
+
+    const [existing] = await connection.execute(
+      'SELECT id, user_id, amount, status, details FROM transactions WHERE reference = ? FOR UPDATE',
+      [reference]
+    );
+    if (existing.length > 0) {
+      return { outcome: existing[0].status, transaction: existing[0], alreadySettled: true };
+    }
+
+    const account = accounts[0];
+    const grossAmount = parseInt(amount) / 100;
+    const fee = fundingFee(grossAmount);
+    const amountToCredit = Math.round((grossAmount - fee) * 100) / 100;
+    const details = {
+      payment_method: 'bank_transfer',
+      original_amount: grossAmount,
+      fee,
+      sender_bank: sender.bank || null,
+      sender_name: sender.name || null,
+      sender_account_number: sender.account_number || null,
+      account_number: account.account_number,
+      bank_name: account.bank_name
+    };
+
+    const [result] = await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, reference, external_reference, provider, status, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [account.user_id, 'wallet_fund', amountToCredit, reference, externalReference ?? null, gateway, 'success', JSON.stringify(details)]
+    );
+
+    await ledger.post({
+      reference,
+      kind: 'wallet_fund',
+      description: 'Bank transfer wallet funding',
+      entries: ledger.move(ledger.ACCOUNTS.FUNDING, ledger.userAccount(account.user_id), amountToCredit)
+    }, connection);
+
+    console.log(`Wallet funded by transfer: User ${account.user_id}, Amount: ${amountToCredit}`);
+
+    return {
+      outcome: 'success',
+      transaction: { id: result.insertId, user_id: account.user_id, amount: amountToCredit, status: 'success', details }
+    };
+  });
+
+module.exports = {
+  fundingFee,
+  recordEvent,
+  settleFunding,
+  settleBankTransfer
+};
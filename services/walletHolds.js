@@ -0,0 +1,305 @@
+const db = require('../config/database');
+const ledger = require('./ledger');
+const { emitDebited } = require('./walletEvents');
+
+// Wallet holds reserve purchase funds before the provider is called.
+// The amount is debited up front together with a pending transaction row, then
+// either settled (kept) on delivery or released (refunded) on failure.
+// Every state change is appended to details.hold.events on that row.
+//
+// Transaction statuses: pending (held, provider not answered yet), processing (provider
+// accepted, outcome not final), success, failed (hold released), reversed (provider
+// reversed it) and refunded (refunded after success). Reversals and refunds credit the
+// wallet through a `refund` transaction whose original_reference points at the purchase.
+
+const parseDetails = (details) => {
+  if (!details) return {};
+  return typeof details === 'string' ? JSON.parse(details) : details;
+};
+
+const holdEvent = (status, note) => ({
+  status,
+  note: note || null,
+  at: new Date().toISOString()
+});
+
+// Debit the wallet and create the pending transaction in one DB transaction.
+// `pricing` (from services/pricing) records the provider cost and margin alongside the user price.
+// With `batchId` the hold is drawn from that bulk batch's reservation instead of the wallet,
+// which was already debited for the whole batch up front.
+const placeHold = async ({ userId, type, amount, reference, details, pricing, batchId }) => {
+  const holdAmount = parseFloat(amount);
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    if (batchId) {
+      const [batches] = await connection.execute(
+        'SELECT reserved_amount FROM bulk_batches WHERE id = ? AND user_id = ? FOR UPDATE',
+        [batchId, userId]
+      );
+
+      if (batches.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 404, error: 'Batch not found' };
+      }
+
+      if (parseFloat(batches[0].reserved_amount) < holdAmount) {
+        await connection.rollback();
+        return { success: false, status: 400, error: 'Insufficient batch reservation' };
+      }
+
+      await connection.execute(
+        'UPDATE bulk_batches SET reserved_amount = reserved_amount - ? WHERE id = ?',
+        [holdAmount, batchId]
+      );
+      await ledger.post({
+        reference,
+        kind: 'purchase_hold',
+        description: `${type} purchase from bulk batch`,
+        entries: ledger.move(ledger.ACCOUNTS.BULK_RESERVATIONS, ledger.ACCOUNTS.PURCHASE_HOLDS, holdAmount)
+      }, connection);
+    } else {
+      // Lock the user row so parallel purchases queue behind each other
+      const [users] = await connection.execute(
+        'SELECT wallet_balance FROM users WHERE id = ? FOR UPDATE',
+        [userId]
+      );
+
+      if (users.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 404, error: 'User not found' };
+      }
+
+      if (parseFloat(users[0].wallet_balance) < holdAmount) {
+        await connection.rollback();
+        return { success: false, status: 400, error: 'Insufficient wallet balance' };
+      }
+
+      await ledger.post({
+        reference,
+        kind: 'purchase_hold',
+        description: `${type} purchase`,
+        entries: ledger.move(ledger.userAccount(userId), ledger.ACCOUNTS.PURCHASE_HOLDS, holdAmount)
+      }, connection);
+    }
+
+    const holdDetails = {
+      ...details,
+      hold: {
+        status: 'held',
+        amount: holdAmount,
+        events: [holdEvent('held')]
+      }
+    };
+
+    const [result] = await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, provider_cost, margin, reference, status, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, type, holdAmount, pricing ? pricing.providerCost : null, pricing ? pricing.margin : null, reference, 'pending', JSON.stringify(holdDetails)]
+    );
+
+    await connection.commit();
+
+    console.log(`Wallet hold placed: User ${userId}, Amount: ${holdAmount}, Reference: ${reference}`);
+    // Batch rows draw on the batch reservation, which already left the wallet
+    if (!batchId) emitDebited(userId);
+    return { success: true, transactionId: result.insertId };
+  } catch (error) {
+    await connection.rollback();
+    if (ledger.isInsufficientFunds(error)) {
+      return { success: false, status: 400, error: 'Insufficient wallet balance' };
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Lock the transaction, let `apply` decide the transition, then persist it.
+// Returns the transaction row, or null when the hold is not in one of `fromStatuses`.
+const transitionHold = async (reference, fromStatuses, apply) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [transactions] = await connection.execute(
+      `SELECT id, user_id, type, amount, provider_cost, status, reference, details FROM transactions
+       WHERE reference = ? AND type IN ('airtime', 'data', 'bill') FOR UPDATE`,
+      [reference]
+    );
+
+    if (transactions.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const transaction = transactions[0];
+    const details = parseDetails(transaction.details);
+
+    // Pending rows recorded before holds existed never debited the wallet
+    if (!details.hold && transaction.status === 'pending') {
+      details.hold = {
+        status: 'held',
+        amount: 0,
+        unfunded: true,
+        events: [holdEvent('held', 'Pending row without a hold, wallet not debited')]
+      };
+    }
+
+    // Successful rows from before holds were debited directly on delivery
+    if (!details.hold && transaction.status === 'success') {
+      details.hold = {
+        status: 'settled',
+        amount: parseFloat(transaction.amount),
+        events: [holdEvent('settled', 'Successful row without a hold, wallet already debited')]
+      };
+    }
+
+    // Rows already past this transition are left alone, so repeated calls are no-ops
+    if (!details.hold || !fromStatuses.includes(details.hold.status)) {
+      await connection.rollback();
+      return null;
+    }
+
+    const status = await apply(connection, transaction, details);
+
+    await connection.execute(
+      'UPDATE transactions SET status = ?, details = ? WHERE id = ?',
+      [status, JSON.stringify(details), transaction.id]
+    );
+
+    await connection.commit();
+    return { ...transaction, status, details };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Ledger entries for a delivered purchase's money: the provider cost is owed to the
+// provider and the rest is our margin. Rows without a recorded cost count it all as cost.
+const settlementEntries = (transaction, amount, sign) => {
+  const cost = transaction.provider_cost === null || transaction.provider_cost === undefined
+    ? amount
+    : parseFloat(transaction.provider_cost);
+  return [
+    { account: ledger.ACCOUNTS.PROVIDER_PAYABLE, amount: sign * cost },
+    { account: ledger.ACCOUNTS.FEES, amount: sign * (amount - cost) }
+  ];
+};
+
+// Credit the held amount back to the wallet and record why. Held funds come back from
+// the holds account, settled ones out of the provider payable and fees they went to.
+const refund = async (connection, transaction, details, holdStatus, reason, extraDetails) => {
+  const amount = details.hold.amount;
+  const source = details.hold.status === 'settled'
+    ? settlementEntries(transaction, amount, -1)
+    : [{ account: ledger.ACCOUNTS.PURCHASE_HOLDS, amount: -amount }];
+
+  await ledger.post({
+    reference: transaction.reference,
+    kind: `purchase_${holdStatus}`,
+    description: reason,
+    entries: [...source, { account: ledger.userAccount(transaction.user_id), amount }]
+  }, connection);
+
+  Object.assign(details, extraDetails);
+  details.hold.status = holdStatus;
+  details.hold.events.push(holdEvent(holdStatus, reason));
+
+  console.log(`Wallet hold ${holdStatus}: User ${transaction.user_id}, Amount: ${details.hold.amount}, Reference: ${transaction.reference}`);
+};
+
+// Money that left the wallet for a purchase comes back as its own `refund` transaction
+// linked to the purchase, so the history shows both legs
+const postRefund = async (connection, transaction, details, holdStatus, reason, extraDetails, refundedBy = null) => {
+  await refund(connection, transaction, details, holdStatus, reason, extraDetails);
+
+  // Unfunded rows never took anything from the wallet
+  if (!(details.hold.amount > 0)) return;
+
+  const refundReference = `REFUND_${transaction.reference}`;
+  await connection.execute(
+    `INSERT INTO transactions (user_id, type, amount, reference, original_reference, status, details)
+     VALUES (?, 'refund', ?, ?, ?, 'success', ?)`,
+    [
+      transaction.user_id,
+      details.hold.amount,
+      refundReference,
+      transaction.reference,
+      JSON.stringify({ reason, original_reference: transaction.reference, refunded_by: refundedBy })
+    ]
+  );
+  details.hold.refund_reference = refundReference;
+};
+
+// Provider delivered: keep the debited funds and mark the purchase successful
+const settleHold = (reference, extraDetails = {}) => transitionHold(reference, ['held'], async (connection, transaction, details) => {
+  let note = null;
+
+  // Unfunded rows are charged now that the provider has delivered
+  const source = details.hold.unfunded ? ledger.userAccount(transaction.user_id) : ledger.ACCOUNTS.PURCHASE_HOLDS;
+  if (details.hold.unfunded) {
+    details.hold.amount = parseFloat(transaction.amount);
+    details.hold.unfunded = false;
+    note = 'Wallet debited on settlement';
+  }
+
+  // The provider has already delivered, so an unfunded charge stands even if it overdraws
+  await ledger.post({
+    reference,
+    kind: 'purchase_settled',
+    description: `${transaction.type} purchase delivered`,
+    entries: [
+      { account: source, amount: -details.hold.amount },
+      ...settlementEntries(transaction, details.hold.amount, 1)
+    ],
+    allowOverdraft: true
+  }, connection);
+
+  Object.assign(details, extraDetails);
+  details.hold.status = 'settled';
+  details.hold.events.push(holdEvent('settled', note));
+
+  console.log(`Wallet hold settled: User ${transaction.user_id}, Amount: ${transaction.amount}, Reference: ${reference}`);
+  return 'success';
+});
+
+// Provider failed: give the reserved funds back and mark the purchase failed
+const releaseHold = (reference, reason, extraDetails = {}) => transitionHold(reference, ['held'], async (connection, transaction, details) => {
+  await refund(connection, transaction, details, 'released', reason, extraDetails);
+  return 'failed';
+});
+
+// Provider reversed the purchase: refund it whether it was still held or already settled
+const reverseHold = (reference, reason, extraDetails = {}) => transitionHold(reference, ['held', 'settled'], async (connection, transaction, details) => {
+  await postRefund(connection, transaction, details, 'reversed', reason, extraDetails);
+  return 'reversed';
+});
+
+// Refund a delivered purchase (e.g. an admin decision after a complaint)
+const refundHold = (reference, reason, refundedBy = null) => transitionHold(reference, ['settled'], async (connection, transaction, details) => {
+  await postRefund(connection, transaction, details, 'refunded', reason, {}, refundedBy);
+  return 'refunded';
+});
+
+// Outcome still unknown: note it on the row and keep the funds reserved
+const noteHold = (reference, note, extraDetails = {}) => transitionHold(reference, ['held'], async (connection, transaction, details) => {
+  Object.assign(details, extraDetails);
+  details.hold.events.push(holdEvent('held', note));
+  return 'processing';
+});
+
+module.exports = {
+  placeHold,
+  settleHold,
+  releaseHold,
+  reverseHold,
+  refundHold,
+  noteHold,
+  parseDetails
+};
@@ -0,0 +1,380 @@
+const db = require('../config/database');
+const ledger = require('./ledger');
+const { parseDetails } = require('./walletHolds');
+
+// Wallet integrity checker. Recomputes what each wallet should hold from its transaction
+// history (funding, rewards, purchases, transfers, withdrawals, refunds and bulk
+// reservations) and compares it with wallet_balance. Mismatched wallets get a proposed
+// correction listing the transactions whose wallet effect disagrees with the ledger; nothing
+// is changed until an admin approves the correction, which is then posted to the ledger.
+const INTEGRITY_INTERVAL_MS = parseInt(process.env.WALLET_INTEGRITY_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Journals that aren't the wallet effect of a transaction
+const ADJUSTMENT_KINDS = ['opening_balance', 'correction'];
+
+let timer = null;
+let running = false;
+
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+// What a transaction did to the wallet, in kobo, and the ledger reference it was posted under
+const walletEffect = (transaction) => {
+  const amount = toKobo(transaction.amount);
+  const details = parseDetails(transaction.details);
+
+  if (transaction.type === 'wallet_fund' || transaction.type === 'refund') {
+    // Refund journals are posted under the purchase they refund
+    const key = transaction.type === 'refund' ? transaction.original_reference : transaction.reference;
+    return { key, effect: transaction.status === 'success' ? amount : 0 };
+  }
+
+  if (transaction.type === 'p2p_transfer') {
+    // Both legs of a transfer share one journal under the reference without _DEBIT/_CREDIT
+    const key = (transaction.reference || '').replace(/_(DEBIT|CREDIT)$/, '');
+    if (transaction.status !== 'success') return { key, effect: 0 };
+    return { key, effect: details.transfer_type === 'credit' ? amount : -amount };
+  }
+
+  if (transaction.type === 'withdrawal') {
+    // The amount and fee always leave the wallet; failed payouts come back as a refund transaction
+    return { key: transaction.reference, effect: -(amount + toKobo(details.fee)) };
+  }
+
+  if (['airtime', 'data', 'bill'].includes(transaction.type)) {
+    const key = transaction.reference;
+
+    if (!details.hold) {
+      // Rows from before holds were debited when they succeeded
+      return { key, effect: transaction.status === 'success' ? -amount : 0 };
+    }
+
+    const held = toKobo(details.hold.amount);
+    const released = details.hold.status === 'released' ||
+      // Reversals from before refund transactions existed credited the wallet directly
+      (['reversed', 'refunded'].includes(details.hold.status) && !details.hold.refund_reference);
+
+    // Bulk rows are paid from the batch reservation; only a release reaches the wallet
+    if (details.bulk_batch) {
+      return { key, effect: released ? held : 0 };
+    }
+    return { key, effect: released ? 0 : -held };
+  }
+
+  return { key: transaction.reference, effect: 0 };
+};
+
+// Check one wallet. Pass a connection to read inside an open DB transaction (e.g. with the
+// user row locked); otherwise the reads share one consistent snapshot.
+// Returns null for unknown users.
+const checkUser = async (userId, connection = null, ledgerSince = null) => {
+  const conn = connection || await db.getConnection();
+
+  try {
+    if (!connection) await conn.query('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY');
+
+    const [users] = await conn.execute('SELECT id, email, wallet_balance FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) return null;
+
+    const [transactions] = await conn.execute(
+      `SELECT id, type, amount, status, reference, original_reference, details, created_at
+       FROM transactions WHERE user_id = ? ORDER BY id`,
+      [userId]
+    );
+    const [batches] = await conn.execute(
+      'SELECT reference, total_amount, refunded_amount, created_at FROM bulk_batches WHERE user_id = ?',
+      [userId]
+    );
+    const [journals] = await conn.execute(
+      `SELECT j.reference, SUM(e.amount) AS effect
+       FROM ledger_entries e
+       JOIN ledger_journals j ON j.id = e.journal_id
+       WHERE e.user_id = ? AND j.kind NOT IN (${ADJUSTMENT_KINDS.map(() => '?').join(', ')})
+       GROUP BY j.reference`,
+      [userId, ...ADJUSTMENT_KINDS]
+    );
+
+    if (ledgerSince === null) {
+      const [first] = await conn.execute('SELECT MIN(created_at) AS since FROM ledger_journals');
+      ledgerSince = first[0].since;
+    }
+
+    // Expected wallet effect per ledger reference
+    const expected = new Map();
+    const add = (key, effect, row) => {
+      const entry = expected.get(key) || { effect: 0, rows: [] };
+      entry.effect += effect;
+      entry.rows.push(row);
+      expected.set(key, entry);
+    };
+
+    for (const transaction of transactions) {
+      const { key, effect } = walletEffect(transaction);
+      add(key, effect, {
+        id: transaction.id,
+        reference: transaction.reference,
+        type: transaction.type,
+        status: transaction.status,
+        amount: parseFloat(transaction.amount),
+        created_at: transaction.created_at
+      });
+    }
+
+    // A batch takes its total from the wallet and gives back what was left over
+    for (const batch of batches) {
+      add(batch.reference, toKobo(batch.refunded_amount) - toKobo(batch.total_amount), {
+        id: null,
+        reference: batch.reference,
+        type: 'bulk_batch',
+        status: null,
+        amount: parseFloat(batch.total_amount),
+        created_at: batch.created_at
+      });
+    }
+
+    const ledgerEffects = new Map(journals.map((journal) => [journal.reference, toKobo(journal.effect)]));
+    const expectedBalance = [...expected.values()].reduce((sum, entry) => sum + entry.effect, 0);
+    const walletBalance = toKobo(users[0].wallet_balance);
+
+    // Transactions since the ledger started whose wallet effect the ledger doesn't match,
+    // and ledger postings with no transaction behind them
+    const offending = [];
+    if (ledgerSince) {
+      for (const [key, entry] of expected) {
+        const recent = entry.rows.some((row) => new Date(row.created_at) >= new Date(ledgerSince));
+        const ledgerEffect = ledgerEffects.get(key) || 0;
+        if (recent && ledgerEffect !== entry.effect) {
+          offending.push({
+            reference: key,
+            transactions: entry.rows,
+            expected_effect: entry.effect / 100,
+            ledger_effect: ledgerEffect / 100
+          });
+        }
+      }
+      for (const [key, effect] of ledgerEffects) {
+        if (!expected.has(key) && effect !== 0) {
+          offending.push({ reference: key, transactions: [], expected_effect: 0, ledger_effect: effect / 100 });
+        }
+      }
+    }
+
+    return {
+      user_id: users[0].id,
+      email: users[0].email,
+      wallet_balance: walletBalance / 100,
+      expected_balance: expectedBalance / 100,
+      difference: (walletBalance - expectedBalance) / 100,
+      offending
+    };
+  } finally {
+    if (!connection) {
+      await conn.rollback();
+      conn.release();
+    }
+  }
+};
+
+// Record (or refresh) the open correction for a mismatched wallet
+const proposeCorrection = async (runId, report) => {
+  const amount = Math.round(-report.difference * 100) / 100;
+  const [open] = await db.execute(
+    "SELECT id FROM wallet_corrections WHERE user_id = ? AND status = 'proposed'",
+    [report.user_id]
+  );
+
+  const values = [runId, amount, report.wallet_balance, report.expected_balance, JSON.stringify(report.offending)];
+
+  if (open.length > 0) {
+    await db.execute(
+      `UPDATE wallet_corrections SET run_id = ?, amount = ?, wallet_balance = ?, expected_balance = ?, offending = ?
+       WHERE id = ?`,
+      [...values, open[0].id]
+    );
+    return open[0].id;
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO wallet_corrections (run_id, amount, wallet_balance, expected_balance, offending, user_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [...values, report.user_id]
+  );
+  return result.insertId;
+};
+
+const runIntegrityCheck = async () => {
+  if (running) return null;
+  running = true;
+
+  let runId = null;
+  try {
+    const [run] = await db.execute("INSERT INTO wallet_integrity_runs (status) VALUES ('running')");
+    runId = run.insertId;
+
+    const [first] = await db.execute('SELECT MIN(created_at) AS since FROM ledger_journals');
+    const ledgerSince = first[0].since;
+
+    let lastId = 0;
+    let checked = 0;
+    let mismatched = 0;
+    let totalDrift = 0;
+
+    for (;;) {
+      const [users] = await db.execute(
+        `SELECT id FROM users WHERE id > ? ORDER BY id LIMIT ${BATCH_SIZE}`,
+        [lastId]
+      );
+      if (users.length === 0) break;
+
+      for (const { id } of users) {
+        lastId = id;
+        try {
+          const report = await checkUser(id, null, ledgerSince);
+          checked++;
+
+          if (report.difference !== 0) {
+            mismatched++;
+            totalDrift += report.difference;
+            await proposeCorrection(runId, report);
+            console.warn(`Wallet drift: User ${id}, balance ${report.wallet_balance}, expected ${report.expected_balance}`);
+          } else {
+            // The wallet has come right since the last run
+            await db.execute(
+              "UPDATE wallet_corrections SET status = 'superseded' WHERE user_id = ? AND status = 'proposed'",
+              [id]
+            );
+          }
+        } catch (error) {
+          console.error(`Wallet integrity check error for user ${id}:`, error.message);
+        }
+      }
+    }
+
+    await db.execute(
+      `UPDATE wallet_integrity_runs
+       SET status = 'completed', users_checked = ?, mismatched_users = ?, total_drift = ?, finished_at = NOW()
+       WHERE id = ?`,
+      [checked, mismatched, Math.round(totalDrift * 100) / 100, runId]
+    );
+
+    console.log(`Wallet integrity check: ${checked} wallets, ${mismatched} mismatched`);
+    return { run_id: runId, users_checked: checked, mismatched_users: mismatched, total_drift: Math.round(totalDrift * 100) / 100 };
+  } catch (error) {
+    console.error('Wallet integrity run failed:', error.message);
+    if (runId) {
+      await db.execute("UPDATE wallet_integrity_runs SET status = 'failed', finished_at = NOW() WHERE id = ?", [runId]);
+    }
+    throw error;
+  } finally {
+    running = false;
+  }
+};
+
+// Apply a proposed correction, provided the wallet still drifts by the proposed amount.
+// Returns { correction } or { status, error }.
+const approveCorrection = async (correctionId, adminId, note = null) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [corrections] = await connection.execute(
+      'SELECT * FROM wallet_corrections WHERE id = ? FOR UPDATE',
+      [correctionId]
+    );
+    const correction = corrections[0];
+
+    if (!correction) {
+      await connection.rollback();
+      return { status: 404, error: 'Correction not found' };
+    }
+    if (correction.status !== 'proposed') {
+      await connection.rollback();
+      return { status: 409, error: `Correction is already ${correction.status}` };
+    }
+
+    // Hold the wallet still while it is re-checked and corrected
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [correction.user_id]);
+    const report = await checkUser(correction.user_id, connection);
+    const amount = Math.round(-report.difference * 100) / 100;
+
+    if (toKobo(amount) !== toKobo(correction.amount)) {
+      await connection.rollback();
+      return {
+        status: 409,
+        error: 'The wallet has changed since this correction was proposed. Run the check again and review the new proposal.',
+        current: report
+      };
+    }
+
+    const journalId = await ledger.post({
+      reference: `CORRECTION_${correction.id}`,
+      kind: 'correction',
+      description: note || 'Wallet integrity correction',
+      entries: ledger.move(ledger.ACCOUNTS.CORRECTIONS, ledger.userAccount(correction.user_id), amount)
+    }, connection);
+
+    await connection.execute(
+      `UPDATE wallet_corrections SET status = 'approved', reviewed_by = ?, reviewed_at = NOW(), review_note = ?, journal_id = ?
+       WHERE id = ?`,
+      [adminId, note, journalId, correction.id]
+    );
+
+    await connection.commit();
+    console.log(`Wallet correction ${correction.id} approved: User ${correction.user_id}, Amount: ${amount}`);
+
+    const [updated] = await db.execute('SELECT * FROM wallet_corrections WHERE id = ?', [correction.id]);
+    return { correction: updated[0] };
+  } catch (error) {
+    await connection.rollback();
+    if (ledger.isInsufficientFunds(error)) {
+      return { status: 409, error: 'The wallet balance cannot cover this correction' };
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const rejectCorrection = async (correctionId, adminId, note = null) => {
+  const [result] = await db.execute(
+    `UPDATE wallet_corrections SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+     WHERE id = ? AND status = 'proposed'`,
+    [adminId, note, correctionId]
+  );
+  return result.affectedRows > 0;
+};
+
+const formatCorrection = (correction) => ({
+  ...correction,
+  amount: parseFloat(correction.amount),
+  wallet_balance: parseFloat(correction.wallet_balance),
+  expected_balance: parseFloat(correction.expected_balance),
+  offending: parseDetails(correction.offending)
+});
+
+const startIntegrityWorker = () => {
+  if (timer) return;
+  timer = setInterval(() => {
+    runIntegrityCheck().catch(() => {});
+  }, INTEGRITY_INTERVAL_MS);
+  console.log(`🧮 Wallet integrity checker running every ${INTEGRITY_INTERVAL_MS / 1000}s`);
+};
+
+const stopIntegrityWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  walletEffect,
+  checkUser,
+  runIntegrityCheck,
+  approveCorrection,
+  rejectCorrection,
+  formatCorrection,
+  startIntegrityWorker,
+  stopIntegrityWorker
+};
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const ledger = require('./ledger');
+const config = require('../config/payouts');
+const { getPayoutProvider } = require('./payouts');
+const { parseDetails } = require('./walletHolds');
+const { emitDebited } = require('./walletEvents');
+const { recordEvent } = require('./walletFunding');
+
+// Withdrawals from the wallet to a saved bank account. The wallet is debited (amount plus
+// fee) under the user's row lock, where the daily limit is checked too, and the payout is
+// then handed to the transfer provider. The provider's transfer webhooks settle it:
+// success completes the withdrawal, failed or reversed refunds the full debit through a
+// refund transaction. Every function returns { status, error } when it can't go through.
+
+const BANKS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+let banksCache = null;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const listBanks = async () => {
+  if (banksCache && Date.now() - banksCache.loadedAt < BANKS_CACHE_TTL_MS) {
+    return banksCache.banks;
+  }
+
+  const banks = await getPayoutProvider().listBanks();
+  banksCache = { banks, loadedAt: Date.now() };
+  return banks;
+};
+
+// Returns { account_name, account_number, bank_code, bank_name } or { status, error }
+const resolveAccount = async ({ accountNumber, bankCode }) => {
+  const bank = (await listBanks()).find((entry) => entry.code === bankCode);
+  if (!bank) {
+    return { status: 400, error: 'Unsupported bank' };
+  }
+
+  const resolved = await getPayoutProvider().resolveAccount({ accountNumber, bankCode });
+  if (resolved.error) {
+    return { status: 400, error: resolved.error };
+  }
+
+  return {
+    account_name: resolved.accountName,
+    account_number: accountNumber,
+    bank_code: bankCode,
+    bank_name: bank.name
+  };
+};
+
+const formatBankAccount = (account) => ({
+  id: account.id,
+  account_number: account.account_number,
+  account_name: account.account_name,
+  bank_code: account.bank_code,
+  bank_name: account.bank_name,
+  created_at: account.created_at
+});
+
+const listBankAccounts = async (userId) => {
+  const [accounts] = await db.execute(
+    'SELECT * FROM bank_accounts WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+  return accounts.map(formatBankAccount);
+};
+
+// Resolve the account name and register the account with the payout provider.
+// Returns { account } or { status, error }
+const saveBankAccount = async (userId, { accountNumber, bankCode }) => {
+  const [saved] = await db.execute(
+    'SELECT id, account_number, bank_code FROM bank_accounts WHERE user_id = ?',
+    [userId]
+  );
+
+  if (saved.some((account) => account.account_number === accountNumber && account.bank_code === bankCode)) {
+    return { status: 409, error: 'This bank account is already saved' };
+  }
+  if (saved.length >= config.maxAccounts) {
+    return { status: 400, error: `You can save up to ${config.maxAccounts} bank accounts` };
+  }
+
+  const resolved = await resolveAccount({ accountNumber, bankCode });
+  if (resolved.error) return resolved;
+
+  const provider = getPayoutProvider();
+  const recipient = await provider.createRecipient({
+    name: resolved.account_name,
+    accountNumber,
+    bankCode
+  });
+  if (recipient.error) {
+    return { status: 502, error: recipient.error };
+  }
+
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO bank_accounts (user_id, bank_code, bank_name, account_number, account_name, provider, recipient_code)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, bankCode, resolved.bank_name, accountNumber, resolved.account_name, provider.name, recipient.recipientCode]
+    );
+
+    const [accounts] = await db.execute('SELECT * FROM bank_accounts WHERE id = ?', [result.insertId]);
+    return { account: formatBankAccount(accounts[0]) };
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { status: 409, error: 'This bank account is already saved' };
+    }
+    throw error;
+  }
+};
+
+const deleteBankAccount = async (userId, accountId) => {
+  const [result] = await db.execute(
+    'DELETE FROM bank_accounts WHERE id = ? AND user_id = ?',
+    [accountId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Sum of today's withdrawals that haven't failed, read through `connection` (under the user lock when withdrawing)
+const withdrawnToday = async (connection, userId) => {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM transactions
+     WHERE user_id = ? AND type = 'withdrawal' AND status IN ('pending', 'processing', 'success')
+       AND created_at >= CURDATE()`,
+    [userId]
+  );
+  return parseFloat(rows[0].total);
+};
+
+const getLimits = async (userId) => {
+  const today = await withdrawnToday(db, userId);
+
+  return {
+    fee: config.fee,
+    min_amount: config.minAmount,
+    max_amount: config.maxAmount,
+    daily_limit: config.dailyLimit,
+    withdrawn_today: today,
+    remaining_today: Math.max(0, round(config.dailyLimit - today))
+  };
+};
+
+// Put the whole debit back: the payout to the user from system:payouts and the fee from system:fees
+const refundWithdrawal = async (connection, transaction, details, status, reason) => {
+  const fee = parseFloat(details.fee || 0);
+  const amount = parseFloat(transaction.amount);
+  const refundReference = `REFUND_${transaction.reference}`;
+
+  await ledger.post({
+    reference: transaction.reference,
+    kind: 'withdrawal_refund',
+    description: `Withdrawal ${status}`,
+    entries: [
+      { account: ledger.ACCOUNTS.PAYOUTS, amount: -amount },
+      { account: ledger.ACCOUNTS.FEES, amount: -fee },
+      { account: ledger.userAccount(transaction.user_id), amount: round(amount + fee) }
+    ]
+  }, connection);
+
+  await connection.execute(
+    `INSERT INTO transactions (user_id, type, amount, reference, original_reference, status, details)
+     VALUES (?, 'refund', ?, ?, ?, 'success', ?)`,
+    [
+      transaction.user_id,
+      round(amount + fee),
+      refundReference,
+      transaction.reference,
+      JSON.stringify({ reason, original_reference: transaction.reference })
+    ]
+  );
+
+  details.refund_reference = refundReference;
+  details.status_reason = reason;
+
+  await connection.execute(
+    'UPDATE transactions SET status = ?, details = ? WHERE id = ?',
+    [status, JSON.stringify(details), transaction.id]
+  );
+};
+
+// Runs `work` on the locked withdrawal row in a DB transaction. With a webhook `event`
+// ({ gateway, id, event }) it is recorded first, and a redelivery returns { duplicate: true }.
+const withWithdrawal = async (reference, work, event = null) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    if (event && !(await recordEvent(connection, { ...event, reference }))) {
+      await connection.rollback();
+      return { duplicate: true };
+    }
+
+    const [transactions] = await connection.execute(
+      "SELECT id, user_id, amount, reference, status, details FROM transactions WHERE reference = ? AND type = 'withdrawal' FOR UPDATE",
+      [reference]
+    );
+
+    if (transactions.length === 0) {
+      await connection.rollback();
+      return { status: 404, error: 'Withdrawal not found' };
+    }
+
+    const transaction = transactions[0];
+    const result = await work(connection, transaction, parseDetails(transaction.details));
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Apply a transfer webhook: success completes the withdrawal; failed refunds it while it is
+// still in flight, reversed refunds it even after success. Pass `event` ({ gateway, id, event })
+// to ignore redeliveries. Returns { outcome } (the withdrawal's status afterwards), or
+// { duplicate } for a redelivered event.
+const applyPayoutStatus = async ({ reference, status, transferCode, event = null }) => {
+  const result = await withWithdrawal(reference, async (connection, transaction, details) => {
+    // Already refunded, nothing more can happen to it
+    if (details.refund_reference) {
+      return { outcome: transaction.status };
+    }
+
+    if (status === 'success') {
+      if (transaction.status !== 'success') {
+        await connection.execute(
+          'UPDATE transactions SET status = ?, external_reference = COALESCE(external_reference, ?) WHERE id = ?',
+          ['success', transferCode || null, transaction.id]
+        );
+        console.log(`Withdrawal ${reference} paid out`);
+      }
+      return { outcome: 'success' };
+    }
+
+    // A transfer that went out can only come back as a reversal, not a late failure
+    if (status !== 'reversed' && !['pending', 'processing'].includes(transaction.status)) {
+      console.warn(`Withdrawal ${reference} is ${transaction.status}, ignoring transfer ${status}`);
+      return { outcome: transaction.status };
+    }
+
+    await refundWithdrawal(connection, transaction, details, status, `Transfer ${status}`);
+    console.log(`Withdrawal ${reference} ${status}, refunded ${transaction.amount} + ${details.fee} fee`);
+    return { outcome: status };
+  }, event);
+
+  // Not one of ours (or from another environment); the provider would keep retrying a 404
+  if (result.status === 404) {
+    console.warn(`Transfer webhook for unknown withdrawal ${reference}, ignoring`);
+    return { outcome: 'unknown' };
+  }
+
+  return result;
+};
+
+// Debit the wallet and start the payout. Returns { withdrawal } or { status, error }.
+const withdraw = async ({ userId, bankAccountId, amount }) => {
+  amount = round(parseFloat(amount));
+
+  if (amount < config.minAmount) {
+    return { status: 400, error: `Minimum withdrawal is ₦${config.minAmount}` };
+  }
+  if (amount > config.maxAmount) {
+    return { status: 400, error: `Maximum withdrawal is ₦${config.maxAmount}` };
+  }
+
+  const [accounts] = await db.execute(
+    'SELECT * FROM bank_accounts WHERE id = ? AND user_id = ?',
+    [bankAccountId, userId]
+  );
+  if (accounts.length === 0) {
+    return { status: 404, error: 'Bank account not found' };
+  }
+
+  const account = accounts[0];
+  const provider = getPayoutProvider(account.provider);
+  if (!provider) {
+    return { status: 503, error: 'Withdrawals to this account are not available right now' };
+  }
+
+  const fee = config.fee;
+  const total = round(amount + fee);
+  const reference = `ZP_WD_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const details = {
+    bank_account_id: account.id,
+    bank_name: account.bank_name,
+    bank_code: account.bank_code,
+    account_number: account.account_number,
+    account_name: account.account_name,
+    fee,
+    total_debit: total
+  };
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // The lock covers the balance and the daily limit, so parallel withdrawals queue here
+    const [users] = await connection.execute(
+      'SELECT wallet_balance FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (parseFloat(users[0].wallet_balance) < total) {
+      await connection.rollback();
+      return { status: 400, error: 'Insufficient wallet balance' };
+    }
+
+    const today = await withdrawnToday(connection, userId);
+    if (today + amount > config.dailyLimit) {
+      await connection.rollback();
+      return {
+        status: 400,
+        error: `Daily withdrawal limit is ₦${config.dailyLimit}; ₦${Math.max(0, round(config.dailyLimit - today))} left today`
+      };
+    }
+
+    await ledger.post({
+      reference,
+      kind: 'withdrawal',
+      description: `Withdrawal to ${account.bank_name} ${account.account_number}`,
+      entries: [
+        { account: ledger.userAccount(userId), amount: -total },
+        { account: ledger.ACCOUNTS.PAYOUTS, amount },
+        { account: ledger.ACCOUNTS.FEES, amount: fee }
+      ]
+    }, connection);
+
+    await connection.execute(
+      'INSERT INTO transactions (user_id, type, amount, reference, provider, status, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, 'withdrawal', amount, reference, provider.name, 'processing', JSON.stringify(details)]
+    );
+
+    await connection.commit();
+    emitDebited(userId);
+  } catch (error) {
+    await connection.rollback();
+    if (ledger.isInsufficientFunds(error)) {
+      return { status: 400, error: 'Insufficient wallet balance' };
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  let status = 'processing';
+  try {
+    const transfer = await provider.transfer({
+      amount,
+      recipientCode: account.recipient_code,
+      reference,
+      reason: 'Zippy Pay wallet withdrawal'
+    });
+
+    if (transfer.status === 'failed') {
+      // Rejected outright, so nothing left the provider balance
+      ({ outcome: status } = await withWithdrawal(reference, async (conn, transaction, locked) => {
+        await refundWithdrawal(conn, transaction, locked, 'failed', transfer.error);
+        return { outcome: 'failed' };
+      }));
+    } else {
+      await db.execute(
+        'UPDATE transactions SET external_reference = ? WHERE reference = ?',
+        [transfer.transferCode || null, reference]
+      );
+    }
+  } catch (error) {
+    // The transfer may still have gone out; the transfer webhook settles it either way
+    console.error(`Payout for withdrawal ${reference} did not get an answer:`, error.message);
+  }
+
+  return {
+    withdrawal: {
+      reference,
+      status,
+      amount,
+      fee,
+      total_debit: total,
+      bank_name: account.bank_name,
+      account_number: account.account_number,
+      account_name: account.account_name
+    }
+  };
+};
+
+module.exports = {
+  listBanks,
+  resolveAccount,
+  listBankAccounts,
+  saveBankAccount,
+  deleteBankAccount,
+  getLimits,
+  withdraw,
+  applyPayoutStatus
+};